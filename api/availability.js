@@ -1,8 +1,17 @@
 /**
  * /api/availability
+ * POST { pickup, dropoff, stops?, whenDate, whenTime, industry, serviceType,
+ *        immediateDelivery?, accountCode?, email?, vehicleClass?, loadKg?, holdId? }
+ *
  * Purpose:
- * - Compute scheduleStart / scheduleEnd server-side
- * - Call Make Availability webhook
+ * - Compute scheduleStart / scheduleEnd server-side (Europe/London job time)
+ *   from server-routed miles (lib/mileage.js); a submitted `miles` is ignored
+ * - Check the fleet's booked windows for a free vehicle (lib/availability.js,
+ *   lib/scheduler.js), allowing drive time between jobs
+ * - Hold the slot for SLOT_HOLD_MINUTES so nobody else can take it before
+ *   payment: { available: true, hold: { holdId, expiresAt } }. Send holdId
+ *   to /api/v1/checkout, which ties the hold to the Checkout Session; send
+ *   it back here to re-check (the hold moves rather than doubling up)
  * - ALWAYS return a clean, customer-friendly response
  *
  * Friendly behaviour:
@@ -10,53 +19,10 @@
  *   "That time slot is no longer available. Please choose a different time."
  */
 
-const AVG_MPH = 30;     // Assumed average speed
-const BUFFER_MIN = 20;  // Buffer before job
-
-function toIsoEnd(whenDate, whenTime) {
-  if (!whenDate || !whenTime) return null;
-  const dt = new Date(`${whenDate}T${whenTime}:00.000Z`);
-  return Number.isFinite(dt.getTime()) ? dt.toISOString() : null;
-}
-
-function computeWindow({ whenDate, whenTime, miles }) {
-  const scheduleEnd = toIsoEnd(whenDate, whenTime);
-  if (!scheduleEnd) return { scheduleStart: null, scheduleEnd: null };
-
-  const milesNum = Number(miles);
-  const driveMinutes =
-    Number.isFinite(milesNum) && milesNum > 0
-      ? (milesNum / AVG_MPH) * 60
-      : 60;
-
-  const totalMinutes = driveMinutes + BUFFER_MIN;
-  const endMs = new Date(scheduleEnd).getTime();
-  const startMs = endMs - totalMinutes * 60 * 1000;
-
-  return {
-    scheduleStart: new Date(startMs).toISOString(),
-    scheduleEnd
-  };
-}
-
-function extractFirstJsonObject(raw) {
-  if (!raw || typeof raw !== 'string') return null;
-  const s = raw.trim();
-
-  try {
-    return JSON.parse(s);
-  } catch (_) {}
-
-  const first = s.indexOf('{');
-  const last = s.lastIndexOf('}');
-  if (first === -1 || last === -1 || last <= first) return null;
-
-  try {
-    return JSON.parse(s.slice(first, last + 1));
-  } catch (_) {
-    return null;
-  }
-}
+const { UNAVAILABLE_MESSAGE, checkAvailability } = require('../lib/availability');
+const { placeHold } = require('../lib/scheduler');
+const { routeJobMiles } = require('../lib/mileage');
+const { normaliseStops } = require('../lib/stops');
 
 module.exports = async function handler(req, res) {
   try {
@@ -64,88 +30,65 @@ module.exports = async function handler(req, res) {
       res.setHeader('Allow', 'POST');
       return res.status(405).json({
         available: false,
-        message: 'That time slot is no longer available. Please choose a different time.'
+        message: UNAVAILABLE_MESSAGE
       });
     }
 
-    const webhookUrl = process.env.MAKE_AVAILABILITY_WEBHOOK_URL;
-    if (!webhookUrl) {
-      console.error('MAKE_AVAILABILITY_WEBHOOK_URL missing');
-      return res.status(200).json({
-        available: false,
-        message: 'That time slot is no longer available. Please choose a different time.'
-      });
-    }
+    const body = req.body || {};
+    const holdId = String(body.holdId || '').trim();
+    const pickup = String(body.pickup || '').trim();
+    const dropoff = String(body.dropoff || '').trim();
 
-    const {
-      pickup = '',
-      dropoff = '',
-      miles = '',
-      email = '',
-      whenDate = '',
-      whenTime = '',
-      vehicle = 'Main Van'
-    } = req.body || {};
-
-    if (!pickup || !dropoff || !miles || !email || !whenDate || !whenTime) {
-      return res.status(200).json({
-        available: false,
-        message: 'That time slot is no longer available. Please choose a different time.'
-      });
-    }
-
-    const { scheduleStart, scheduleEnd } = computeWindow({ whenDate, whenTime, miles });
-
-    if (!scheduleStart || !scheduleEnd) {
-      return res.status(200).json({
-        available: false,
-        message: 'That time slot is no longer available. Please choose a different time.'
-      });
+    const stopsResult = normaliseStops(body.stops);
+    const routed = stopsResult.ok ? await routeJobMiles({ pickup, dropoff, stops: stopsResult.stops }) : stopsResult;
+    if (!routed.ok) {
+      return res.status(200).json({ available: false, message: UNAVAILABLE_MESSAGE });
     }
 
-    const makeResponse = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        pickup,
-        dropoff,
-        miles,
-        email,
-        whenDate,
-        whenTime,
-        vehicle,
-        scheduleStart,
-        scheduleEnd
-      })
+    // Only the fields the price, window and vehicle depend on; miles are ours
+    const result = await checkAvailability({
+      pickup,
+      dropoff,
+      stops: stopsResult.stops,
+      miles: routed.miles,
+      whenDate: String(body.whenDate || '').trim(),
+      whenTime: String(body.whenTime || '').trim(),
+      industry: String(body.industry || '').trim(),
+      serviceType: String(body.serviceType || 'oneway').trim(),
+      immediateDelivery: !!body.immediateDelivery,
+      accountCode: String(body.accountCode || '').trim(),
+      email: String(body.email || '').trim(),
+      vehicleClass: String(body.vehicleClass || '').trim(),
+      loadKg: Number(body.loadKg) || 0,
+      holdId
     });
 
-    const rawText = await makeResponse.text();
-    const parsed = extractFirstJsonObject(rawText);
-
-    if (!parsed || typeof parsed.available !== 'boolean') {
-      console.error('Malformed Make response:', rawText);
+    if (!result.available) {
       return res.status(200).json({
         available: false,
-        message: 'That time slot is no longer available. Please choose a different time.'
+        message: result.message,
+        ...(result.reason === 'out_of_range' ? { manual: true } : {})
       });
     }
 
-    // Pass through Make result if valid
-    if (parsed.available === false) {
-      return res.status(200).json({
-        available: false,
-        message:
-          parsed.message ||
-          'That time slot is no longer available. Please choose a different time.'
-      });
+    const held = await placeHold(
+      { pickup, dropoff, scheduleStart: result.scheduleStart, scheduleEnd: result.scheduleEnd },
+      result.assignment,
+      { holdId }
+    );
+    if (!held.ok) {
+      return res.status(200).json({ available: false, message: UNAVAILABLE_MESSAGE });
     }
 
-    return res.status(200).json({ available: true });
+    return res.status(200).json({
+      available: true,
+      hold: { holdId: held.hold.holdId, expiresAt: held.hold.holdExpiresAt }
+    });
   } catch (err) {
     console.error('Availability error:', err);
     return res.status(200).json({
       available: false,
-      message: 'That time slot is no longer available. Please choose a different time.'
+      message: UNAVAILABLE_MESSAGE
     });
   }
 };
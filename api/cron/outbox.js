@@ -0,0 +1,29 @@
+/**
+ * /api/cron/outbox   (Authorization: Bearer CRON_SECRET or OPS_API_TOKEN)
+ *
+ * GET → retries outbox deliveries that are due (see lib/outbox.js)
+ *       → { attempted, delivered, failed }
+ *
+ * Runs every 5 minutes (vercel.json; sub-daily Vercel Cron needs a Pro
+ * plan, otherwise point another scheduler at it) so the backoff in
+ * lib/outbox.js actually applies between webhooks.
+ */
+
+const { requireCron } = require('../../lib/ops-auth');
+const { drainOutbox } = require('../../lib/outbox');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireCron(req, res)) return;
+
+    return res.status(200).json(await drainOutbox());
+  } catch (err) {
+    console.error('cron outbox error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * /api/cron/series   (Authorization: Bearer CRON_SECRET or OPS_API_TOKEN)
+ *
+ * GET → books and charges recurring jobs due within SERIES_CHARGE_LEAD_DAYS
+ *       (see lib/series.js) → { charged, failed, missed }
+ *
+ * Run at least daily.
+ */
+
+const { requireCron } = require('../../lib/ops-auth');
+const { chargeDueOccurrences } = require('../../lib/series');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireCron(req, res)) return;
+
+    return res.status(200).json(await chargeDueOccurrences());
+  } catch (err) {
+    console.error('cron series error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -5,15 +5,25 @@
 // {
 //   ok: true,
 //   basePostcode: "GL6 0RT",
+//   depot: { id: "GL6", name: "Stroud depot", postcode: "GL6 0RT" },
 //   postcode: "SW1A 2AA",
 //   miles: 94.3,
-//   tier: "TIER_2_EXTENDED"
+//   tier: "TIER_2_EXTENDED",
+//   manual: false,
+//   provider: "osrm-public",
+//   approximate: false
 // }
 //
 // Notes:
-// - Uses postcodes.io for geocoding
-// - Uses OSRM public routing server for road distance
-// - Tiering is for marketing only (NOT pricing)
+// - Geocoding + road distance via lib/routing (OSRM, with offline fallback)
+// - Distance is from the nearest depot in the fleet (lib/fleet.js)
+// - Tiers come from lib/service-area.js, the same rule checkout and
+//   availability enforce: manual: true means the pickup can't be booked
+//   online, and tiers may carry a positioning charge in the pricing profile
+// - tier is "" (and miles null) when routing is unavailable
+
+const { normalisePostcode } = require("../lib/postcodes");
+const { resolveServiceArea } = require("../lib/service-area");
 
 module.exports = async function handler(req, res) {
   try {
@@ -22,71 +32,31 @@ module.exports = async function handler(req, res) {
       return res.status(405).json({ error: "Method Not Allowed" });
     }
 
-    const BASE_POSTCODE = "GL6 0RT";
-
     const raw = String(req.query.postcode || "").trim();
     if (!raw) {
       return res.status(400).json({ error: "Missing postcode" });
     }
 
-    const postcode = raw.toUpperCase().replace(/\s+/g, " ").trim();
-
-    // ---------------------------
-    // Helpers
-    // ---------------------------
-
-    async function geocode(pc) {
-      const r = await fetch(`https://api.postcodes.io/postcodes/${encodeURIComponent(pc)}`);
-      const j = await r.json().catch(() => ({}));
-
-      if (!r.ok || !j || j.status !== 200 || !j.result) {
-        throw new Error("Invalid postcode: " + pc);
-      }
-
-      return {
-        lat: j.result.latitude,
-        lon: j.result.longitude
-      };
-    }
-
-    function getTier(miles) {
-      if (miles <= 90) return "TIER_1_CORE";
-      if (miles <= 140) return "TIER_2_EXTENDED";
-      if (miles <= 180) return "TIER_3_EXCEPTION";
-      return "TIER_X_OUT_OF_RANGE";
+    const postcode = normalisePostcode(raw);
+    if (!postcode) {
+      return res.status(400).json({ error: "Invalid postcode" });
     }
 
-    // ---------------------------
-    // Geocode base + destination
-    // ---------------------------
-
-    const base = await geocode(BASE_POSTCODE);
-    const dest = await geocode(postcode);
-
-    // ---------------------------
-    // OSRM road routing (driving)
-    // ---------------------------
-
-    const routeUrl =
-      `https://router.project-osrm.org/route/v1/driving/` +
-      `${base.lon},${base.lat};${dest.lon},${dest.lat}?overview=false`;
-
-    const rr = await fetch(routeUrl);
-    const rj = await rr.json().catch(() => ({}));
-
-    if (!rr.ok || !rj || rj.code !== "Ok" || !rj.routes || !rj.routes[0]) {
-      throw new Error("Routing failed");
+    const area = await resolveServiceArea(postcode);
+    if (!area.ok) {
+      return res.status(area.status).json({ error: area.error });
     }
 
-    const meters = rj.routes[0].distance;
-    const miles = Math.max(0, Math.round((meters / 1609.344) * 10) / 10); // 1 decimal
-
     return res.status(200).json({
       ok: true,
-      basePostcode: BASE_POSTCODE,
+      basePostcode: area.basePostcode,
+      depot: area.depot,
       postcode,
-      miles,
-      tier: getTier(miles)
+      miles: area.positioningMiles,
+      tier: area.tier,
+      manual: area.manual,
+      provider: area.provider,
+      approximate: area.approximate
     });
 
   } catch (err) {
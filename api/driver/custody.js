@@ -0,0 +1,46 @@
+/**
+ * /api/driver/custody   (Authorization: Bearer <driver token>)
+ *
+ * POST { bookingRef, type, … } adds to the job's chain of custody (lib/custody.js)
+ *   handover { from, to, location?, note? }
+ *   seal     { sealNumber, action: applied | checked | broken | removed, note? }
+ *   scan     { code, location?, note? }
+ *   → { entry }
+ *
+ * Only for the driver's own jobs, between payment and delivery (a failed
+ * attempt included).
+ */
+
+const { authenticateDriver, ACTIVE_JOB_STATUSES } = require('../../lib/drivers');
+const { getBooking } = require('../../lib/bookings');
+const { normaliseCustodyEvent, appendCustody } = require('../../lib/custody');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const driver = await authenticateDriver(req);
+    if (!driver) return res.status(401).json({ error: 'Unauthorised' });
+
+    const body = req.body || {};
+    const booking = await getBooking(String(body.bookingRef || '').trim());
+    if (!booking || !booking.driver || booking.driver.id !== driver.driverId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!ACTIVE_JOB_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ error: `Job is ${booking.status}` });
+    }
+
+    const event = normaliseCustodyEvent(body);
+    if (!event.ok) return res.status(400).json({ error: event.error });
+
+    const entry = await appendCustody(booking.bookingRef, event.type, event.details, { actor: `driver:${driver.driverId}` });
+    return res.status(200).json({ entry });
+  } catch (err) {
+    console.error('driver custody error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
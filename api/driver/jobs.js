@@ -0,0 +1,115 @@
+/**
+ * /api/driver/jobs   (Authorization: Bearer <driver token>, see /api/ops/drivers)
+ *
+ * GET  ?date=YYYY-MM-DD (default today, Europe/London)
+ *      → { driver, date, jobs: [...] } the driver's jobs that day, earliest first
+ * POST { bookingRef, action, note? }
+ *      action: accept | en_route | collected | delivered | failed_attempt
+ *      → { job } after moving the booking along its lifecycle (lib/bookings.js)
+ *
+ * accept confirms the job (paid → scheduled). failed_attempt needs a note
+ * and is sent to the dispatch chat. Handing over with proof of delivery
+ * (/api/driver/pod) marks the job delivered too. Drivers only see and move
+ * jobs assigned to them.
+ */
+
+const { authenticateDriver, publicDriver } = require('../../lib/drivers');
+const { listBookings, getBooking, updateBooking, transitionBooking } = require('../../lib/bookings');
+const { londonParts } = require('../../lib/time');
+const outbox = require('../../lib/outbox');
+
+const ACTIONS = {
+  accept: 'scheduled',
+  en_route: 'en_route',
+  collected: 'collected',
+  delivered: 'delivered',
+  failed_attempt: 'failed_attempt'
+};
+
+// Hidden from drivers: cancelled before it started, or never paid
+const HIDDEN_STATUSES = ['pending_payment', 'cancelled', 'refunded'];
+
+function driverJob(b) {
+  return {
+    bookingRef: b.bookingRef,
+    status: b.status,
+    whenDate: b.whenDate,
+    whenTime: b.whenTime,
+    scheduleStart: b.scheduleStart,
+    scheduleEnd: b.scheduleEnd,
+    serviceType: b.serviceType,
+    pickup: b.pickup,
+    dropoff: b.dropoff,
+    pickupAddress: b.pickupAddress || null,
+    dropoffAddress: b.dropoffAddress || null,
+    stops: b.stops || [],
+    notes: b.notes || '',
+    vehicle: b.vehicle || null,
+    depot: b.depot || null,
+    acceptedAt: b.driver ? b.driver.acceptedAt : null
+  };
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const driver = await authenticateDriver(req);
+    if (!driver) return res.status(401).json({ error: 'Unauthorised' });
+
+    const mine = (b) => b && b.driver && b.driver.id === driver.driverId;
+
+    if (req.method === 'GET') {
+      const date = String(req.query.date || londonParts(new Date()).date).trim();
+      const jobs = (await listBookings())
+        .filter((b) => mine(b) && !HIDDEN_STATUSES.includes(b.status) && b.scheduleStart &&
+          londonParts(b.scheduleStart).date === date)
+        .sort((a, b) => Date.parse(a.scheduleStart) - Date.parse(b.scheduleStart))
+        .map(driverJob);
+      return res.status(200).json({ driver: publicDriver(driver), date, jobs });
+    }
+
+    const { bookingRef = '', action = '', note = '' } = req.body || {};
+    const to = ACTIONS[String(action)];
+    if (!bookingRef || !to) {
+      return res.status(400).json({ error: 'Missing bookingRef or unknown action' });
+    }
+    if (to === 'failed_attempt' && !String(note).trim()) {
+      return res.status(400).json({ error: 'Please say why the attempt failed' });
+    }
+
+    const booking = await getBooking(bookingRef);
+    if (!mine(booking)) return res.status(404).json({ error: 'Job not found' });
+
+    const actor = `driver:${driver.driverId}`;
+    const at = new Date().toISOString();
+    const patch = action === 'accept' ? { driver: { ...booking.driver, acceptedAt: at } } : {};
+
+    let result;
+    if (action === 'accept' && booking.status === 'scheduled') {
+      // Dispatch already scheduled it; just record the acceptance
+      result = { ok: true, booking: await updateBooking(bookingRef, patch) };
+    } else {
+      result = await transitionBooking(bookingRef, to, { actor, note, patch });
+    }
+    if (!result.ok) return res.status(409).json({ error: result.error });
+
+    if (to === 'failed_attempt' && result.changed) {
+      await outbox.send('telegram', {
+        text:
+`⚠️ Failed attempt
+Booking: ${bookingRef}
+Driver: ${driver.name}
+Reason: ${String(note).trim()}`
+      }, { key: `${bookingRef}:failed_attempt:${at}`, bookingRef });
+    }
+
+    return res.status(200).json({ job: driverJob(result.booking) });
+  } catch (err) {
+    console.error('driver jobs error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * /api/driver/location   (Authorization: Bearer <driver token>)
+ *
+ * POST { lat, lng, accuracy?, bookingRef? } every minute or so while on a job
+ *      → { bookingRef, eta } (eta: lib/locations.js, null if it couldn't be routed)
+ *
+ * bookingRef defaults to the driver's job that's on the road (en_route or
+ * collected). The tracking API shows the latest ping and ETA to the customer.
+ */
+
+const { authenticateDriver } = require('../../lib/drivers');
+const { getBooking, listBookings } = require('../../lib/bookings');
+const { LIVE_STATUSES, recordPing } = require('../../lib/locations');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const driver = await authenticateDriver(req);
+    if (!driver) return res.status(401).json({ error: 'Unauthorised' });
+
+    const body = req.body || {};
+    const mine = (b) => b && b.driver && b.driver.id === driver.driverId;
+    const bookingRef = String(body.bookingRef || '').trim();
+
+    let booking;
+    if (bookingRef) {
+      booking = await getBooking(bookingRef);
+      if (!mine(booking)) return res.status(404).json({ error: 'Job not found' });
+    } else {
+      // Most recently moved, if the driver somehow has two on the road
+      [booking] = (await listBookings())
+        .filter((b) => mine(b) && LIVE_STATUSES.includes(b.status))
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+      if (!booking) return res.status(409).json({ error: 'No job on the road' });
+    }
+
+    const result = await recordPing(booking, driver, body);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json({ bookingRef: booking.bookingRef, eta: result.location.eta });
+  } catch (err) {
+    console.error('driver location error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
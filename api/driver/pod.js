@@ -0,0 +1,47 @@
+/**
+ * /api/driver/pod   (Authorization: Bearer <driver token>)
+ *
+ * POST { bookingRef, recipientName, signature, photos: [...], gps: { lat, lng, accuracy? }, capturedAt? }
+ *      signature / photos: PNG or JPEG data URLs (at most 3 photos, 800 KB each)
+ *      → { pod, job } — the job is marked delivered and the POD PDF goes to
+ *        the customer and to Make (lib/pod.js)
+ *
+ * The job must be the driver's own and collected (or already delivered
+ * without a POD).
+ */
+
+const { authenticateDriver } = require('../../lib/drivers');
+const { getBooking } = require('../../lib/bookings');
+const { recordPod } = require('../../lib/pod');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const driver = await authenticateDriver(req);
+    if (!driver) return res.status(401).json({ error: 'Unauthorised' });
+
+    const body = req.body || {};
+    const bookingRef = String(body.bookingRef || '').trim();
+    if (!bookingRef) return res.status(400).json({ error: 'Missing bookingRef' });
+
+    const booking = await getBooking(bookingRef);
+    if (!booking || !booking.driver || booking.driver.id !== driver.driverId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await recordPod(bookingRef, body, { driver });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json({
+      pod: result.pod,
+      job: { bookingRef, status: result.booking.status }
+    });
+  } catch (err) {
+    console.error('driver pod error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
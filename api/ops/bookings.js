@@ -0,0 +1,55 @@
+/**
+ * /api/ops/bookings   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?bookingRef=GC-…          → { booking }
+ * GET  ?status=paid              → { bookings: [...] } (newest first)
+ * POST { bookingRef, status, note? }
+ *      → moves the booking along its lifecycle (see lib/bookings.js),
+ *        e.g. paid → scheduled, scheduled → collected, * → cancelled
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { STATUSES, getBooking, listBookings, transitionBooking } = require('../../lib/bookings');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const bookingRef = String(req.query.bookingRef || '').trim();
+      if (bookingRef) {
+        const booking = await getBooking(bookingRef);
+        if (!booking) return res.status(404).json({ error: 'Booking not found' });
+        return res.status(200).json({ booking });
+      }
+
+      const status = String(req.query.status || '').trim();
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status: ${status}` });
+      }
+
+      return res.status(200).json({ bookings: await listBookings({ status: status || undefined }) });
+    }
+
+    const { bookingRef = '', status = '', note = '' } = req.body || {};
+    if (!bookingRef || !status) {
+      return res.status(400).json({ error: 'Missing bookingRef/status' });
+    }
+
+    const result = await transitionBooking(bookingRef, status, { actor: 'ops', note });
+    if (!result.ok) {
+      const code = result.error === 'Booking not found' ? 404 : 409;
+      return res.status(code).json({ error: result.error });
+    }
+
+    return res.status(200).json({ booking: result.booking, changed: result.changed });
+  } catch (err) {
+    console.error('ops bookings error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * /api/ops/cache   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET → { caches: [{ name, size, hits, persistentHits, misses, hitRate, … }] }
+ *
+ * In-memory counters are per serverless instance and reset on cold start.
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { getCacheStats } = require('../../lib/cache');
+
+// Loading the routing layer registers its caches
+require('../../lib/routing');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    return res.status(200).json({ caches: getCacheStats() });
+  } catch (err) {
+    console.error('ops cache error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * /api/ops/custody   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?bookingRef=GC-…                  → { entries, intact, headHash }
+ * GET  ?bookingRef=GC-…&format=export    → the sealed export (JSON download) for a client
+ * POST { bookingRef, type, … }           → { entry }  (handover / seal / scan, as /api/driver/custody)
+ * POST { action: 'verify', export }      → { valid, error? } for an export handed back to us
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { getBooking } = require('../../lib/bookings');
+const {
+  normaliseCustodyEvent,
+  appendCustody,
+  getCustody,
+  verifyChain,
+  exportCustody,
+  verifyExport
+} = require('../../lib/custody');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const bookingRef = String(req.query.bookingRef || '').trim();
+      if (!bookingRef) return res.status(400).json({ error: 'Missing bookingRef' });
+      if (!(await getBooking(bookingRef))) return res.status(404).json({ error: 'Booking not found' });
+
+      if (req.query.format === 'export') {
+        const doc = await exportCustody(bookingRef);
+        res.setHeader('Content-Disposition', `attachment; filename="custody-${bookingRef}.json"`);
+        return res.status(200).json(doc);
+      }
+
+      const entries = await getCustody(bookingRef);
+      const check = verifyChain(entries);
+      return res.status(200).json({ entries, intact: check.ok, headHash: check.ok ? check.headHash : null });
+    }
+
+    const body = req.body || {};
+
+    if (body.action === 'verify') {
+      const result = verifyExport(body.export);
+      return res.status(200).json(result.ok ? { valid: true } : { valid: false, error: result.error });
+    }
+
+    const booking = await getBooking(String(body.bookingRef || '').trim());
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    const event = normaliseCustodyEvent(body);
+    if (!event.ok) return res.status(400).json({ error: event.error });
+
+    const entry = await appendCustody(booking.bookingRef, event.type, event.details, { actor: 'ops' });
+    return res.status(200).json({ entry });
+  } catch (err) {
+    console.error('ops custody error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
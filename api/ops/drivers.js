@@ -0,0 +1,86 @@
+/**
+ * /api/ops/drivers   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?driverId=drv_…   → { driver }
+ * GET                    → { drivers: [...] }
+ * POST { action, … }
+ *   create        { name, phone?, vehicleId? }            → { driver, token }
+ *   update        { driverId, name?, phone?, vehicleId?, active? } → { driver }
+ *   rotate_token  { driverId }                            → { driver, token }
+ *   assign        { driverId, bookingRef }                → { booking }  (driverId '' unassigns)
+ *
+ * Tokens are returned once; give them to the driver for /api/driver/*.
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { listVehicles } = require('../../lib/fleet');
+const {
+  publicDriver,
+  listDrivers,
+  getDriver,
+  createDriver,
+  updateDriver,
+  rotateDriverToken,
+  assignDriver
+} = require('../../lib/drivers');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const driverId = String(req.query.driverId || '').trim();
+      if (driverId) {
+        const driver = await getDriver(driverId);
+        if (!driver) return res.status(404).json({ error: 'Driver not found' });
+        return res.status(200).json({ driver: publicDriver(driver) });
+      }
+      return res.status(200).json({ drivers: (await listDrivers()).map(publicDriver) });
+    }
+
+    const body = req.body || {};
+    const action = String(body.action || '');
+    const driverId = String(body.driverId || '').trim();
+
+    if ((action === 'create' || action === 'update') && body.vehicleId &&
+      !listVehicles().some((v) => v.id === String(body.vehicleId))) {
+      return res.status(400).json({ error: `Unknown vehicle: ${body.vehicleId}` });
+    }
+
+    if (action === 'create') {
+      if (!String(body.name || '').trim()) return res.status(400).json({ error: 'Missing name' });
+      const { driver, token } = await createDriver(body);
+      return res.status(200).json({ driver: publicDriver(driver), token });
+    }
+
+    if (action === 'update') {
+      const driver = await updateDriver(driverId, body);
+      if (!driver) return res.status(404).json({ error: 'Driver not found' });
+      return res.status(200).json({ driver: publicDriver(driver) });
+    }
+
+    if (action === 'rotate_token') {
+      const rotated = await rotateDriverToken(driverId);
+      if (!rotated) return res.status(404).json({ error: 'Driver not found' });
+      return res.status(200).json({ driver: publicDriver(rotated.driver), token: rotated.token });
+    }
+
+    if (action === 'assign') {
+      const bookingRef = String(body.bookingRef || '').trim();
+      if (!bookingRef) return res.status(400).json({ error: 'Missing bookingRef' });
+      const result = await assignDriver(bookingRef, driverId, { by: 'ops' });
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.status(200).json({ booking: result.booking });
+    }
+
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  } catch (err) {
+    console.error('ops drivers error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
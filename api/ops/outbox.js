@@ -0,0 +1,58 @@
+/**
+ * /api/ops/outbox   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?id=make_create_job:evt_…  → { item }
+ * GET  ?status=dead&bookingRef=…  → { items: [...] } (newest first)
+ * POST { id, force? }
+ *      → replays one delivery now with a fresh set of attempts
+ *        (delivered items only with force: true)
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { STATUSES, getOutboxItem, listOutbox, replayOutboxItem } = require('../../lib/outbox');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const id = String(req.query.id || '').trim();
+      if (id) {
+        const item = await getOutboxItem(id);
+        if (!item) return res.status(404).json({ error: 'Outbox item not found' });
+        return res.status(200).json({ item });
+      }
+
+      const status = String(req.query.status || '').trim();
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status: ${status}` });
+      }
+
+      const bookingRef = String(req.query.bookingRef || '').trim();
+      return res.status(200).json({
+        items: await listOutbox({ status: status || undefined, bookingRef: bookingRef || undefined })
+      });
+    }
+
+    const { id = '', force = false } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: 'Missing id' });
+    }
+
+    const result = await replayOutboxItem(String(id), { force: force === true });
+    if (!result.ok) {
+      const code = result.error === 'Outbox item not found' ? 404 : 409;
+      return res.status(code).json({ error: result.error });
+    }
+
+    return res.status(200).json({ item: result.item });
+  } catch (err) {
+    console.error('ops outbox error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * /api/ops/pod   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET ?bookingRef=GC-…              → { pod } (without the images)
+ * GET ?bookingRef=GC-…&format=pdf   → the POD PDF
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { getPod, podSummary } = require('../../lib/pod');
+const { podFilename, renderPodPdf } = require('../../lib/pod-pdf');
+const { getPodImages } = require('../../lib/pod-images');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    const bookingRef = String(req.query.bookingRef || '').trim();
+    if (!bookingRef) return res.status(400).json({ error: 'Missing bookingRef' });
+
+    const pod = await getPod(bookingRef);
+    if (!pod) return res.status(404).json({ error: 'No proof of delivery for this booking' });
+
+    if (req.query.format === 'pdf') {
+      const images = await getPodImages(pod);
+      if (!images) return res.status(404).json({ error: 'Proof of delivery images not found' });
+      const pdf = renderPodPdf(pod, images);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${podFilename(bookingRef)}"`);
+      return res.status(200).send(pdf);
+    }
+
+    return res.status(200).json({ pod: podSummary(pod) });
+  } catch (err) {
+    console.error('ops pod error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
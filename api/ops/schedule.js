@@ -0,0 +1,49 @@
+/**
+ * /api/ops/schedule   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?vehicleId=MAIN-VAN&date=2025-06-02&status=active|booked|held|converted|released|all
+ *      → { windows: [...] } (earliest first; date is a Europe/London day)
+ *      status defaults to active: booked windows plus unexpired holds
+ *
+ * Windows are booked and released by the booking lifecycle
+ * (lib/bookings.js → lib/scheduler.js); cancel or refund the booking
+ * through /api/ops/bookings to free one. Holds expire on their own.
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { listSchedule } = require('../../lib/scheduler');
+const { londonToDate, addDays } = require('../../lib/time');
+
+const STATUSES = ['active', 'booked', 'held', 'converted', 'released', 'all'];
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    const status = String(req.query.status || 'active').trim();
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Unknown status: ${status}` });
+    }
+
+    let from = '';
+    let to = '';
+    const date = String(req.query.date || '').trim();
+    if (date) {
+      const start = londonToDate(date, '00:00');
+      if (!start) return res.status(400).json({ error: 'Invalid date' });
+      from = start.toISOString();
+      to = londonToDate(addDays(date, 1), '00:00').toISOString();
+    }
+
+    const vehicleId = String(req.query.vehicleId || '').trim();
+    return res.status(200).json({ windows: await listSchedule({ vehicleId, from, to, status }) });
+  } catch (err) {
+    console.error('ops schedule error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
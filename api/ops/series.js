@@ -0,0 +1,55 @@
+/**
+ * /api/ops/series   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?seriesId=GS-…                  → { series }
+ * GET  ?status=needs_review&email=…    → { series: [...] } (newest first)
+ * POST { seriesId, action, date?, rule?, note? }
+ *      action: skip | unskip | cancel_occurrence | cancel_series | set_rule
+ *      rule:   { intervalWeeks, weekdays, count?, until? } (see lib/recurrence.js)
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { SERIES_STATUSES, getSeries, listSeries, applySeriesAction } = require('../../lib/series');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const seriesId = String(req.query.seriesId || '').trim();
+      if (seriesId) {
+        const series = await getSeries(seriesId);
+        if (!series) return res.status(404).json({ error: 'Series not found' });
+        return res.status(200).json({ series });
+      }
+
+      const status = String(req.query.status || '').trim();
+      if (status && !SERIES_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status: ${status}` });
+      }
+
+      const email = String(req.query.email || '').trim();
+      return res.status(200).json({
+        series: await listSeries({ status: status || undefined, email: email || undefined })
+      });
+    }
+
+    const { seriesId = '', action = '', date = '', rule = null, note = '' } = req.body || {};
+    if (!seriesId || !action) {
+      return res.status(400).json({ error: 'Missing seriesId/action' });
+    }
+
+    const result = await applySeriesAction(seriesId, { action, date, rule, note, actor: 'ops' });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json({ series: result.series });
+  } catch (err) {
+    console.error('ops series error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * /api/ops/stripe-events   (Authorization: Bearer OPS_API_TOKEN)
+ *
+ * GET  ?status=failed            → { events: [...] } (newest first)
+ * POST { eventId }
+ *      → fetches the event from Stripe and re-runs it even if it was
+ *        already processed (the normal webhook path skips duplicates)
+ */
+
+const { requireOps } = require('../../lib/ops-auth');
+const { getStripe } = require('../../lib/stripe');
+const { processStripeEvent, listStripeEvents } = require('../../lib/stripe-events');
+
+const EVENT_STATUSES = ['processing', 'processed', 'failed'];
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    if (!requireOps(req, res)) return;
+
+    if (req.method === 'GET') {
+      const status = String(req.query.status || '').trim();
+      if (status && !EVENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status: ${status}` });
+      }
+
+      return res.status(200).json({ events: await listStripeEvents({ status: status || undefined }) });
+    }
+
+    const eventId = String((req.body || {}).eventId || '').trim();
+    if (!eventId) {
+      return res.status(400).json({ error: 'Missing eventId' });
+    }
+
+    let event;
+    try {
+      event = await getStripe().events.retrieve(eventId);
+    } catch (e) {
+      return res.status(404).json({ error: `Stripe event not found: ${eventId}` });
+    }
+
+    const outcome = await processStripeEvent(event, { force: true });
+    return res.status(200).json({ eventId, type: event.type, ...outcome });
+  } catch (err) {
+    console.error('ops stripe-events error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
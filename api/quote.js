@@ -0,0 +1,4 @@
+// Moved to /api/v1/quote (same request body).
+const { redirectTo } = require('../lib/legacy-routes');
+
+module.exports = redirectTo('/api/v1/quote');
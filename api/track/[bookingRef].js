@@ -0,0 +1,47 @@
+/**
+ * /api/track/:bookingRef
+ * GET ?email=…  or  ?token=…   (the second factor; see lib/tracking.js)
+ *
+ * → { booking: { bookingRef, status, statusLabel, whenDate, whenTime, scheduleStart,
+ *                scheduleEnd, serviceType, pickup, dropoff, stopCount,
+ *                milestones: [{ status, label, at }], delivery,
+ *                live: { lat, lng, accuracy, at, eta: { target, minutes, arriveAt } } } }
+ *
+ * live is only set while the driver is on the way (lib/locations.js).
+ * pickup / dropoff are postcodes only. An unknown reference and a wrong
+ * email / token both return 404, so references can't be probed.
+ */
+
+const { getBooking } = require('../../lib/bookings');
+const { canTrack, publicTracking } = require('../../lib/tracking');
+const { getLiveLocation } = require('../../lib/locations');
+
+const NOT_FOUND = 'We couldn’t find a booking with that reference and email.';
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const bookingRef = String(req.query.bookingRef || '').trim().toUpperCase();
+    const email = String(req.query.email || '').trim();
+    const token = String(req.query.token || '').trim();
+    if (!bookingRef || (!email && !token)) {
+      return res.status(400).json({ error: 'Please enter your booking reference and email' });
+    }
+
+    const booking = await getBooking(bookingRef);
+    if (!canTrack(booking, { email, token })) {
+      return res.status(404).json({ error: NOT_FOUND });
+    }
+
+    return res.status(200).json({ booking: publicTracking(booking, { live: await getLiveLocation(booking) }) });
+  } catch (err) {
+    console.error('track error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
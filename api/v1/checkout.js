@@ -0,0 +1,368 @@
+/**
+ * /api/v1/checkout
+ * POST { company, industry, serviceType, immediateDelivery, pickupAddress, dropoffAddress,
+ *        miles, email, poNumber, whenDate, whenTime, notes, accountCode?,
+ *        stops?, vehicleClass?, quoteToken?, holdId?, repeatType?, customRepeatDetails?, customRepeat? }
+ *
+ * pickupAddress / dropoffAddress: { line1, line2?, town, postcode, contactName,
+ * phone, accessNotes? } (lib/address.js); postcodes are checked against
+ * postcodes.io (lib/address-verify.js). Free-text pickup / dropoff are still
+ * accepted from older API clients.
+ *
+ * stops: ordered intermediate collections/drops between pickup and dropoff,
+ * [{ address, action: 'deliver' | 'collect', notes? }] (lib/stops.js). Each
+ * is priced at the profile's per-stop rate; miles cover the whole route.
+ *
+ * Miles are routed server-side from the pickup/stop/dropoff postcodes
+ * (lib/mileage.js); the submitted figure is only checked against them.
+ *
+ * The pickup's service-area tier (lib/service-area.js, distance from base)
+ * is enforced here: manual-quote tiers are refused with { manual: true },
+ * and the profile's positioning charge for the tier is added to the price.
+ *
+ * The nearest vehicle whose class, capacity and hours fit the job
+ * (lib/fleet.js) and whose booked windows leave room for it
+ * (lib/scheduler.js) is assigned to the booking and sent to Make with it;
+ * if every suitable vehicle is booked the slot is refused with 409.
+ *
+ * holdId (from /api/availability) is taken over, or a hold is placed now;
+ * either way the slot is held until the Checkout Session expires
+ * (lib/scheduler.js) and becomes a booked window when the webhook marks the
+ * booking paid. A holdId already tied to an earlier, unpaid session from
+ * the same customer expires that session first.
+ *
+ * Prices the job server-side (or redeems a /api/v1/quote token), records the
+ * booking in pending_payment and returns a Stripe Checkout Session URL.
+ *
+ * repeatType weekly / fortnightly / custom also creates a recurring series
+ * (lib/series.js): later dates are checked for availability, the card is
+ * saved for off-session use and each job is charged ahead of its day.
+ * The only checkout endpoint; legacy routes redirect here or return 410.
+ */
+
+const { getStripe } = require('../../lib/stripe');
+const { toPricingMetadata, n2 } = require('../../lib/pricing');
+const { priceBooking, redeemQuoteToken } = require('../../lib/quote');
+const { computeScheduleWindow } = require('../../lib/schedule');
+const { bookingFieldsFromRequest, createBooking, updateBooking } = require('../../lib/bookings');
+const { buildRepeatRule } = require('../../lib/recurrence');
+const { createSeries } = require('../../lib/series');
+const { verifyMileage } = require('../../lib/mileage');
+const { resolveServiceArea, MANUAL_QUOTE_MESSAGE } = require('../../lib/service-area');
+const { assignVehicle, getHold, placeHold, attachHold, releaseHold, checkoutHoldMinutes } = require('../../lib/scheduler');
+const { cancelHold } = require('../../lib/holds');
+const { UNAVAILABLE_MESSAGE } = require('../../lib/availability');
+const { normaliseStops } = require('../../lib/stops');
+const { resolveBookingAddresses, addressToMetadata } = require('../../lib/address-verify');
+const { trackingUrl } = require('../../lib/tracking');
+
+module.exports = async function handler(req, res) {
+  try {
+    // Only allow POST
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const stripe = getStripe();
+
+    // ---------- Addresses (structured → one-line pickup/dropoff for routing) ----------
+    const addresses = await resolveBookingAddresses(req.body);
+    if (!addresses.ok) {
+      return res.status(addresses.status).json({ error: addresses.error });
+    }
+
+    const {
+      company = '',
+      industry = '',
+      serviceType = 'oneway',
+      immediateDelivery = false,  // ADDED
+      pickup = '',
+      dropoff = '',
+      miles = '',
+      email = '',
+      poNumber = '',
+      whenDate = '',
+      whenTime = '',
+      notes = '',
+      quoteToken = '',
+      holdId = '',
+      repeatType = 'one_off',
+      customRepeatDetails = ''
+    } = addresses.body;
+
+    // ---------- Basic validation ----------
+    if (!company || !industry || !pickup || !dropoff || !miles || !email || !whenDate || !whenTime) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const stopsResult = normaliseStops(addresses.body.stops);
+    if (!stopsResult.ok) {
+      return res.status(400).json({ error: stopsResult.error });
+    }
+    const stops = stopsResult.stops;
+
+    // ---------- Service area (base → pickup positioning) ----------
+    const area = await resolveServiceArea(pickup);
+    if (!area.ok) {
+      return res.status(area.status).json({ error: area.error });
+    }
+    if (area.manual) {
+      return res.status(400).json({ error: MANUAL_QUOTE_MESSAGE, manual: true, tier: area.tier });
+    }
+    const serviceArea = {
+      tier: area.tier,
+      positioningMiles: area.positioningMiles,
+      provider: area.provider,
+      approximate: area.approximate,
+      status: area.status
+    };
+
+    // ---------- Mileage (server-routed; the browser's figure is only checked) ----------
+    const verified = await verifyMileage({ pickup, dropoff, stops, miles });
+    if (!verified.ok) {
+      return res.status(verified.status).json({ error: verified.error });
+    }
+
+    const milesNum = verified.miles;
+    const mileage = verified.mileage;
+    const body = { ...addresses.body, stops, miles: String(milesNum), serviceTier: area.tier, serviceArea };
+
+    // ---------- Recurrence (unreadable custom requests go to ops for review) ----------
+    const repeat = buildRepeatRule(body);
+    if (!repeat.ok && !repeat.needsReview) {
+      return res.status(400).json({ error: repeat.error });
+    }
+    const isRecurring = !!repeat.rule || !!repeat.needsReview;
+
+    const serviceTypeSafe = String(serviceType || 'oneway').trim();
+    const isReturnSameDay = serviceTypeSafe === 'return_same_day';
+    const isImmediate = !!immediateDelivery;
+
+    // ---------- Pricing (shared with book.html via lib/pricing.js) ----------
+    // Always price now (this also validates the account code); a signed quote
+    // from /api/v1/quote then locks the amount actually charged.
+    const pricing = priceBooking(body);
+    if (!pricing.ok) {
+      return res.status(pricing.status).json({ error: pricing.error });
+    }
+
+    let priced = pricing.priced;
+
+    if (quoteToken) {
+      const redeemed = redeemQuoteToken(quoteToken, body);
+      if (redeemed.ok) {
+        priced = redeemed.priced;
+      } else if (redeemed.reason === 'expired') {
+        return res.status(400).json({ error: 'Quote expired. Please refresh your quote.' });
+      } else if (redeemed.reason !== 'not_configured') {
+        return res.status(400).json({ error: 'Quote does not match booking details' });
+      }
+    }
+
+    const effectiveMiles = priced.effectiveMiles;
+    const calculated = priced.total;
+    const amountPence = priced.amountPence;
+
+    // ---------- Schedule window computation (Europe/London job time) ----------
+    const { scheduleStart, scheduleEnd } = computeScheduleWindow({
+      whenDate,
+      whenTime,
+      miles: effectiveMiles,
+      stops: stops.length
+    });
+    if (!scheduleEnd) {
+      return res.status(400).json({ error: 'Invalid whenDate/whenTime' });
+    }
+
+    // ---------- Vehicle (nearest suitable in the fleet that is free) ----------
+    const assigned = await assignVehicle({
+      pickup,
+      dropoff,
+      scheduleStart,
+      scheduleEnd,
+      stops: stops.length,
+      vehicleClass: String(body.vehicleClass || '').trim(),
+      holdId: String(holdId)
+    });
+    if (!assigned.ok) {
+      return res.status(400).json({ error: assigned.error });
+    }
+    if (assigned.reason === 'no_vehicle') {
+      return res.status(400).json({ error: 'No vehicle is available for that time. Please choose a different time.' });
+    }
+    if (assigned.reason === 'clash') {
+      return res.status(409).json({ error: UNAVAILABLE_MESSAGE });
+    }
+    const assignment = assigned.assignment;
+
+    // ---------- Slot hold (lasts as long as the Checkout Session) ----------
+    const earlier = holdId ? await getHold(holdId) : null;
+    if (earlier && earlier.status === 'held' && earlier.sessionId) {
+      const replaced = await cancelHold(holdId, { reason: 'replaced' });
+      if (!replaced.ok) return res.status(replaced.status).json({ error: replaced.error });
+    }
+
+    const holdMinutes = checkoutHoldMinutes();
+    const held = await placeHold({ pickup, dropoff, scheduleStart, scheduleEnd }, assignment, {
+      holdId: String(holdId),
+      minutes: holdMinutes
+    });
+    if (!held.ok) {
+      return res.status(409).json({ error: UNAVAILABLE_MESSAGE });
+    }
+    const hold = held.hold;
+
+    // ---------- URLs ----------
+    const proto = (req.headers['x-forwarded-proto'] || 'https');
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    const origin = `${proto}://${host}`;
+
+    let success_url = `${origin}/?status=success`;
+    const cancel_url = `${origin}/?status=cancel&hold=${encodeURIComponent(hold.holdId)}`;
+
+    // ---------- Booking record (pending_payment until the webhook confirms) ----------
+    const booking = await createBooking({
+      ...bookingFieldsFromRequest(body, priced, { scheduleStart, scheduleEnd }),
+      mileage,
+      vehicle: assignment.vehicle,
+      depot: assignment.depot,
+      holdId: hold.holdId
+    });
+
+    const bookingRef = booking.bookingRef;
+
+    let series = null;
+    let manageToken = '';
+    let manageUrl = '';
+    if (isRecurring) {
+      ({ series, manageToken } = await createSeries({
+        body,
+        rule: repeat.rule || null,
+        firstBookingRef: bookingRef,
+        repeatType,
+        customRepeatDetails
+      }));
+
+      // Customers land on the page that lets them skip/cancel later jobs
+      manageUrl = `${origin}/series.html?seriesId=${encodeURIComponent(series.seriesId)}&token=${encodeURIComponent(manageToken)}`;
+      success_url = `${manageUrl}&status=success`;
+    }
+
+    // ---------- Stripe metadata ----------
+    const metadata = {
+      company: String(company || ''),
+      industry: String(industry || ''),
+      serviceType: String(serviceTypeSafe || 'oneway'),
+      immediateDelivery: String(isImmediate),
+
+      pickup: String(pickup),
+      dropoff: String(dropoff),
+      pickup_address: addressToMetadata(addresses.body.pickupAddress),
+      dropoff_address: addressToMetadata(addresses.body.dropoffAddress),
+      stopCount: String(stops.length),
+
+      miles_oneway: String(n2(milesNum)),
+      miles_effective: String(n2(effectiveMiles)),
+      mileage: JSON.stringify({ status: mileage.status, submitted: mileage.submitted, server: mileage.server }),
+      service_area: JSON.stringify({ tier: area.tier, positioningMiles: area.positioningMiles }),
+
+      email: String(email),
+      poNumber: String(poNumber || ''),
+      whenDate: String(whenDate),
+      whenTime: String(whenTime),
+      notes: String(notes || ''),
+      scheduleStart: String(scheduleStart),
+      scheduleEnd: String(scheduleEnd),
+
+      bookingRef: String(bookingRef),
+      seriesId: String(series ? series.seriesId : ''),
+      repeatType: String(series ? series.repeatType : 'one_off'),
+      repeatRule: String(series ? series.ruleText : '').slice(0, 500),
+
+      quoteId: String(priced.quoteId || ''),
+      contract_account: String(priced.contract ? priced.contract.accountCode : ''),
+      contract_lane: String(priced.contract ? priced.contract.laneId : ''),
+      ...toPricingMetadata(priced.pricingRuleVersion, priced.breakdown),
+
+      after1700: String(priced.flags.after1700),
+      weekend: String(priced.flags.weekend),
+      bankHoliday: String(priced.flags.bankHoliday),
+      bankHolidayRegion: String(priced.bankHoliday.region || ''),
+      bankHolidayName: String(priced.bankHoliday.name || ''),
+      urgent: String(priced.flags.urgent)
+    };
+
+    // ---------- Stripe Checkout Session ----------
+    // A minute's slack keeps clear of Stripe's 30-minute minimum
+    const expiresAt = Math.floor(Date.now() / 1000) + holdMinutes * 60 + 60;
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        expires_at: expiresAt,
+        customer_email: email,
+        success_url,
+        cancel_url,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: 'gbp',
+              unit_amount: amountPence,
+              product_data: {
+                name: 'Gilead Courier Booking',
+                description: `Service: ${isReturnSameDay ? 'Return same day' : 'One-way'} | Pickup: ${pickup} → ` +
+                  (stops.length ? `${stops.length} stop${stops.length === 1 ? '' : 's'} → ` : '') +
+                  `Dropoff: ${dropoff} (${Math.round(milesNum)} miles one-way)`
+              }
+            }
+          }
+        ],
+        metadata,
+        // Recurring: keep the customer + card so later jobs can be charged off-session
+        ...(series ? { customer_creation: 'always' } : {}),
+        payment_intent_data: series
+          ? { metadata, setup_future_usage: 'off_session' }
+          : { metadata }
+      });
+    } catch (err) {
+      await releaseHold(hold.holdId, { bookingRef, reason: 'checkout_failed' });
+      throw err;
+    }
+
+    await attachHold(hold.holdId, {
+      bookingRef,
+      sessionId: session.id,
+      expiresAt: new Date((session.expires_at || expiresAt) * 1000).toISOString()
+    });
+
+    await updateBooking(bookingRef, {
+      seriesId: series ? series.seriesId : '',
+      stripe: { sessionId: session.id, livemode: !!session.livemode }
+    });
+
+    return res.status(200).json({
+      url: session.url,
+      calculatedPrice: calculated,
+      currency: 'GBP',
+      pricingRuleVersion: priced.pricingRuleVersion,
+      quoteId: priced.quoteId || null,
+      bookingRef: bookingRef,
+      trackingUrl: trackingUrl(bookingRef, origin),
+      series: series
+        ? {
+            seriesId: series.seriesId,
+            status: series.status,
+            rule: series.ruleText,
+            manageUrl,
+            dates: series.occurrences.map((o) => ({ date: o.date, status: o.status }))
+          }
+        : null
+    });
+
+  } catch (err) {
+    console.error('v1 checkout error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * /api/v1/holds   (the holdId from /api/availability is the credential)
+ *
+ * GET  ?holdId=hold_…               → { hold: { holdId, status, expiresAt, scheduleStart, scheduleEnd } }
+ * POST { holdId, action: 'release' } → { released }
+ *
+ * Releasing a hold that checkout has tied to a Stripe session expires the
+ * session too (lib/holds.js). book.html does this when the customer comes
+ * back from Stripe with status=cancel.
+ */
+
+const { getHold } = require('../../lib/scheduler');
+const { cancelHold } = require('../../lib/holds');
+
+function publicHold(h) {
+  return {
+    holdId: h.holdId,
+    status: h.status === 'held' && Date.parse(h.holdExpiresAt) <= Date.now() ? 'expired' : h.status,
+    expiresAt: h.holdExpiresAt,
+    scheduleStart: h.scheduleStart,
+    scheduleEnd: h.scheduleEnd
+  };
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const src = req.method === 'GET' ? req.query || {} : req.body || {};
+    const holdId = String(src.holdId || '').trim();
+
+    if (req.method === 'GET') {
+      const hold = await getHold(holdId);
+      if (!hold) return res.status(404).json({ error: 'Hold not found' });
+      return res.status(200).json({ hold: publicHold(hold) });
+    }
+
+    if (String(src.action || '') !== 'release') {
+      return res.status(400).json({ error: `Unknown action: ${src.action || ''}` });
+    }
+
+    const result = await cancelHold(holdId, { reason: 'customer' });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json({ released: result.released });
+  } catch (err) {
+    console.error('holds error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * /api/v1/quote
+ * POST { industry, serviceType, miles, whenDate, whenTime, immediateDelivery,
+ *        accountCode?, email?, pickupAddress?, dropoffAddress?, stops? }
+ *
+ * accountCode applies the customer's contract pricing (lib/contracts.js);
+ * the pickup/dropoff addresses (structured, as for checkout, or older
+ * free-text pickup/dropoff) are needed to match a contracted lane. When both contain a
+ * postcode, miles are checked against the server route exactly as checkout
+ * does (lib/mileage.js), so the token matches what checkout will price.
+ * stops (see /api/v1/checkout) add the per-stop charge and are bound to the
+ * token, so checkout must send the same stops in the same order.
+ * With a pickup postcode, the service-area tier is enforced as at checkout
+ * (manual-quote tiers → 400 { manual: true }) and its positioning charge
+ * is included.
+ *
+ * Returns the authoritative, itemised price (same pricing_* lines that end up
+ * in Stripe metadata) plus a short-lived signed quoteToken. Pass the token to
+ * /api/v1/checkout as `quoteToken` to be charged exactly
+ * this amount.
+ */
+
+const { priceBooking } = require('../../lib/quote');
+const { signQuote } = require('../../lib/quote-token');
+const { extractPostcode } = require('../../lib/postcodes');
+const { verifyMileage } = require('../../lib/mileage');
+const { normaliseStops } = require('../../lib/stops');
+const { resolveBookingAddresses } = require('../../lib/address-verify');
+const { resolveServiceArea, MANUAL_QUOTE_MESSAGE } = require('../../lib/service-area');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const { industry = '', whenDate = '', whenTime = '' } = req.body || {};
+
+    if (!industry || !whenDate || !whenTime) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const addresses = await resolveBookingAddresses(req.body);
+    if (!addresses.ok) {
+      return res.status(addresses.status).json({ error: addresses.error });
+    }
+
+    const stopsResult = normaliseStops(addresses.body.stops);
+    if (!stopsResult.ok) {
+      return res.status(400).json({ error: stopsResult.error });
+    }
+
+    let body = { ...addresses.body, stops: stopsResult.stops, serviceTier: '' };
+    let serviceArea = null;
+    if (extractPostcode(body.pickup)) {
+      const area = await resolveServiceArea(body.pickup);
+      if (!area.ok) {
+        return res.status(area.status).json({ error: area.error });
+      }
+      if (area.manual) {
+        return res.status(400).json({ error: MANUAL_QUOTE_MESSAGE, manual: true, tier: area.tier });
+      }
+      body.serviceTier = area.tier;
+      serviceArea = { tier: area.tier, positioningMiles: area.positioningMiles };
+    }
+
+    let mileage = null;
+    if (extractPostcode(body.pickup) && extractPostcode(body.dropoff)) {
+      const verified = await verifyMileage(body);
+      if (!verified.ok) {
+        return res.status(verified.status).json({ error: verified.error });
+      }
+      body = { ...body, miles: String(verified.miles) };
+      mileage = verified.mileage;
+    }
+
+    const result = priceBooking(body);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, manual: !!result.manual });
+    }
+
+    const { input, quote, priced } = result;
+    const signed = signQuote({ input, priced });
+
+    if (!signed) {
+      console.warn('QUOTE_SIGNING_SECRET missing; returning unsigned quote.');
+    }
+
+    return res.status(200).json({
+      total: quote.total,
+      currency: 'GBP',
+      pricingRuleVersion: quote.pricingRuleVersion,
+      milesOneWay: quote.milesOneWay,
+      milesEffective: quote.effectiveMiles,
+      stopCount: quote.stopCount,
+      serviceArea,
+      mileage: mileage ? { status: mileage.status, submitted: mileage.submitted, server: mileage.server } : null,
+      flags: priced.flags,
+      contract: priced.contract,
+      bankHoliday: priced.bankHoliday,
+      breakdown: priced.breakdown,
+      quoteId: signed ? signed.quoteId : null,
+      quoteToken: signed ? signed.token : null,
+      expiresAt: signed ? signed.expiresAt : null
+    });
+  } catch (err) {
+    console.error('quote error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * /api/v1/series   (customer self-service, manage token from checkout)
+ *
+ * GET  ?seriesId=GS-…&token=…                → { series }
+ * POST { seriesId, token, action, date? }
+ *      action: skip | unskip | cancel_occurrence | cancel_series
+ *
+ * Only jobs that haven't been charged yet can be changed here; dispatch
+ * handles anything already paid.
+ */
+
+const { getSeries, publicSeries, verifyManageToken, applySeriesAction } = require('../../lib/series');
+
+const CUSTOMER_ACTIONS = ['skip', 'unskip', 'cancel_occurrence', 'cancel_series'];
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const src = req.method === 'GET' ? req.query || {} : req.body || {};
+    const seriesId = String(src.seriesId || '').trim();
+    const token = String(src.token || '').trim();
+
+    // Same answer for unknown series and wrong token
+    const current = seriesId ? await getSeries(seriesId) : null;
+    if (!verifyManageToken(current, token)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ series: publicSeries(current) });
+    }
+
+    const action = String(src.action || '').trim();
+    if (!CUSTOMER_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Unknown action: ${action}` });
+    }
+
+    const date = String(src.date || '').trim();
+    if (action !== 'cancel_series' && !date) {
+      return res.status(400).json({ error: 'Missing date' });
+    }
+
+    const result = await applySeriesAction(seriesId, { action, date, actor: 'customer' });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json({ series: publicSeries(result.series) });
+  } catch (err) {
+    console.error('series error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
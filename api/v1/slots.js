@@ -0,0 +1,99 @@
+/**
+ * /api/v1/slots
+ * GET ?pickup=…&dropoff=…&via=…&from=YYYY-MM-DD&to=YYYY-MM-DD&industry=…
+ *     &serviceType=oneway|return_same_day&immediateDelivery=true&accountCode=…&email=…&holdId=…
+ *
+ * Bookable "needed by" times for the job on each day from `from` to `to`
+ * (default: just `from`; at most 14 days), each with the price checkout
+ * will charge for it (lib/slots.js):
+ *
+ *   { from, to, milesOneWay, stopCount, serviceArea, currency, pricingRuleVersion,
+ *     days: [{ date, slots: [{ whenTime, scheduleStart, scheduleEnd, total }] }] }
+ *
+ * pickup / dropoff / via need full UK postcodes (free text containing one
+ * is fine); via lists intermediate stops in order, as for /api/calc-miles.
+ * Miles are routed server-side. Manual-quote pickups and distances return
+ * 400 { manual: true }. holdId: the caller's own slot hold, which doesn't
+ * count against them.
+ */
+
+const { normaliseStops, viaList } = require('../../lib/stops');
+const { routeJobMiles } = require('../../lib/mileage');
+const { resolveServiceArea, MANUAL_QUOTE_MESSAGE } = require('../../lib/service-area');
+const { findSlots } = require('../../lib/slots');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const q = req.query || {};
+    const pickup = String(q.pickup || '').trim();
+    const dropoff = String(q.dropoff || '').trim();
+    const industry = String(q.industry || '').trim();
+    const from = String(q.from || '').trim();
+    const to = String(q.to || from).trim();
+
+    if (!pickup || !dropoff || !industry || !from) {
+      return res.status(400).json({ error: 'Missing pickup/dropoff/industry/from' });
+    }
+    if (!DATE_RE.test(from) || !DATE_RE.test(to) || to < from) {
+      return res.status(400).json({ error: 'Invalid from/to' });
+    }
+
+    const stopsResult = normaliseStops(viaList(q.via));
+    if (!stopsResult.ok) {
+      return res.status(400).json({ error: stopsResult.error });
+    }
+    const stops = stopsResult.stops;
+
+    const area = await resolveServiceArea(pickup);
+    if (!area.ok) {
+      return res.status(area.status).json({ error: area.error });
+    }
+    if (area.manual) {
+      return res.status(400).json({ error: MANUAL_QUOTE_MESSAGE, manual: true, tier: area.tier });
+    }
+
+    const routed = await routeJobMiles({ pickup, dropoff, stops });
+    if (!routed.ok) {
+      return res.status(routed.status).json({ error: routed.error });
+    }
+
+    const body = {
+      pickup,
+      dropoff,
+      stops,
+      miles: String(routed.miles),
+      industry,
+      serviceType: String(q.serviceType || 'oneway').trim(),
+      immediateDelivery: String(q.immediateDelivery) === 'true',
+      accountCode: String(q.accountCode || '').trim(),
+      email: String(q.email || '').trim(),
+      serviceTier: area.tier
+    };
+
+    const result = await findSlots(body, { fromDate: from, toDate: to, holdId: String(q.holdId || '').trim() });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, ...(result.manual ? { manual: true } : {}) });
+    }
+
+    return res.status(200).json({
+      from,
+      to,
+      milesOneWay: routed.miles,
+      stopCount: stops.length,
+      serviceArea: { tier: area.tier, positioningMiles: area.positioningMiles },
+      currency: 'GBP',
+      pricingRuleVersion: result.pricingRuleVersion,
+      days: result.days
+    });
+  } catch (err) {
+    console.error('slots error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * lib/address-verify.js
+ * Server-side handling of the structured pickup / drop-off addresses
+ * (shape in lib/address.js).
+ *
+ * Postcodes are confirmed with postcodes.io (cached, lib/routing). If it
+ * can't be reached, the bundled centroids are the fallback: the postcode
+ * must be well-formed and in a known UK postcode area.
+ *
+ * API clients that still send free-text `pickup` / `dropoff` are accepted
+ * unchanged (no structured fields); book.html always sends structured ones.
+ */
+
+const { normaliseAddress, formatAddress, FIELDS } = require('./address');
+const { geocode } = require('./routing/postcodes-io');
+const { locate } = require('./routing/haversine');
+
+const METADATA_MAX = 500; // Stripe metadata value limit
+
+/**
+ * Returns { ok: true, postcode, verifiedBy: 'postcodes.io' | 'local' } or { ok: false, error }.
+ */
+async function checkPostcode(postcode) {
+  const g = await geocode(postcode);
+  if (g.ok) return { ok: true, postcode: g.postcode || postcode, verifiedBy: 'postcodes.io' };
+  if (g.fatal) return { ok: false, error: `Postcode ${postcode} not found` };
+
+  console.warn('postcodes.io unavailable; checking postcode locally.', g.error);
+  if (locate(postcode)) return { ok: true, postcode, verifiedBy: 'local' };
+  return { ok: false, error: `Postcode ${postcode} not recognised` };
+}
+
+async function resolveOne(raw, label) {
+  const n = normaliseAddress(raw, label);
+  if (!n.ok) return n;
+
+  const check = await checkPostcode(n.address.postcode);
+  if (!check.ok) return { ok: false, error: `${label}: ${check.error}` };
+
+  return { ok: true, address: { ...n.address, postcode: check.postcode, verifiedBy: check.verifiedBy } };
+}
+
+/**
+ * Validates body.pickupAddress / body.dropoffAddress when given and derives
+ * the one-line pickup / dropoff text the rest of the pipeline uses.
+ * Returns { ok: true, body } or { ok: false, status, error }.
+ */
+async function resolveBookingAddresses(body) {
+  const b = { ...(body || {}) };
+
+  for (const [key, label] of [['pickup', 'Pickup'], ['dropoff', 'Drop-off']]) {
+    const raw = b[`${key}Address`];
+    if (!raw) {
+      b[`${key}Address`] = null;
+      continue;
+    }
+
+    const r = await resolveOne(raw, label);
+    if (!r.ok) return { ok: false, status: 400, error: r.error };
+    b[`${key}Address`] = r.address;
+    b[key] = formatAddress(r.address);
+  }
+
+  return { ok: true, body: b };
+}
+
+/**
+ * Compact JSON for a Stripe metadata value. Access notes, then line 2, give
+ * way if the whole thing won't fit in 500 characters.
+ */
+function addressToMetadata(address) {
+  if (!address) return '';
+
+  const a = {};
+  for (const k of FIELDS) if (address[k]) a[k] = address[k];
+
+  let json = JSON.stringify(a);
+  for (const k of ['accessNotes', 'line2']) {
+    if (json.length <= METADATA_MAX || !a[k]) continue;
+    a[k] = a[k].slice(0, Math.max(0, a[k].length - (json.length - METADATA_MAX)));
+    json = JSON.stringify(a);
+  }
+  return json.slice(0, METADATA_MAX);
+}
+
+function addressFromMetadata(value) {
+  if (!value) return null;
+  try {
+    const a = JSON.parse(value);
+    return a && typeof a === 'object' ? a : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  checkPostcode,
+  resolveBookingAddresses,
+  addressToMetadata,
+  addressFromMetadata
+};
@@ -0,0 +1,89 @@
+/**
+ * lib/address.js
+ * Structured collection / delivery addresses, shared by the API and
+ * book.html (window.GileadAddress). Load /lib/postcodes.js first in the page.
+ *
+ * Address: { line1, line2, town, postcode, contactName, phone, accessNotes }
+ *
+ * This only checks shape and format; the server also confirms the postcode
+ * exists (lib/address-verify.js).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./postcodes'));
+  } else {
+    root.GileadAddress = factory(root.GileadPostcodes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Postcodes) {
+  'use strict';
+
+  const FIELDS = ['line1', 'line2', 'town', 'postcode', 'contactName', 'phone', 'accessNotes'];
+
+  const MAX_LENGTH = {
+    line1: 100,
+    line2: 100,
+    town: 60,
+    postcode: 8,
+    contactName: 80,
+    phone: 20,
+    accessNotes: 300
+  };
+
+  const LABELS = {
+    line1: 'address line 1',
+    town: 'town / city',
+    postcode: 'postcode',
+    contactName: 'contact name',
+    phone: 'contact phone'
+  };
+
+  const REQUIRED = Object.keys(LABELS);
+
+  // UK numbers: 10–11 digits, or +44 followed by 9–10
+  function normalisePhone(phone) {
+    const p = String(phone || '').trim();
+    if (!/^\+?[\d\s()-]+$/.test(p)) return '';
+    const digits = p.replace(/\D/g, '');
+    if (p.startsWith('+')) return digits.startsWith('44') && digits.length >= 11 && digits.length <= 12 ? p : '';
+    return digits.length >= 10 && digits.length <= 11 ? p : '';
+  }
+
+  /**
+   * Trims and checks an address object. `label` names it in errors
+   * ("Pickup", "Drop-off"). Returns { ok: true, address } or { ok: false, error }.
+   */
+  function normaliseAddress(raw, label) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const address = {};
+    for (const k of FIELDS) {
+      address[k] = String(src[k] == null ? '' : src[k]).trim().replace(/\s+/g, ' ').slice(0, MAX_LENGTH[k]);
+    }
+
+    const missing = REQUIRED.filter((k) => !address[k]);
+    if (missing.length) {
+      return { ok: false, error: `${label}: please enter the ${missing.map((k) => LABELS[k]).join(', ')}` };
+    }
+
+    const postcode = Postcodes.normalisePostcode(address.postcode);
+    if (!postcode) return { ok: false, error: `${label}: please enter a full UK postcode` };
+    address.postcode = postcode;
+
+    if (!normalisePhone(address.phone)) return { ok: false, error: `${label}: please enter a valid UK phone number` };
+
+    return { ok: true, address };
+  }
+
+  // One line for Stripe, Telegram and anything that still takes free text
+  function formatAddress(address) {
+    const a = address || {};
+    return [a.line1, a.line2, a.town, a.postcode].filter(Boolean).join(', ');
+  }
+
+  return {
+    FIELDS,
+    MAX_LENGTH,
+    normaliseAddress,
+    normalisePhone,
+    formatAddress
+  };
+});
@@ -0,0 +1,123 @@
+/**
+ * lib/announce.js
+ * Tells dispatch about a paid job: Telegram message + Make create-job
+ * (→ Airtable), both through the outbox so failures are retried.
+ *
+ * Used by the Stripe webhook (Checkout payments) and recurring series
+ * (off-session charges). `key` must be stable per job so a re-run doesn't
+ * announce it twice.
+ */
+
+const outbox = require('./outbox');
+const { listVehicles } = require('./fleet');
+const { trackingUrl } = require('./tracking');
+
+// "Pickup contact: …" / "Pickup access: …" lines for a structured address
+function contactLines(label, address) {
+  if (!address) return [];
+  const lines = [`${label} contact: ${address.contactName || 'N/A'} ${address.phone || ''}`.trim()];
+  if (address.accessNotes) lines.push(`${label} access: ${address.accessNotes}`);
+  return lines;
+}
+
+/**
+ * job: { source, mode, bookingRef, sessionId?, paymentIntent?, seriesId?, repeat?,
+ *        mileage?: { status, submitted, server },
+ *        serviceArea?: { tier, positioningMiles },
+ *        vehicle?: { id, name, class }, depot?: { id, name, postcode } (lib/fleet.js),
+ *        driver?: { id, name } (lib/drivers.js; null when nobody was free),
+ *        scheduleConflict?: { bookingRef, type } (lib/scheduler.js; window booked over a clash),
+ *        email, amountPaid, currency, pickup, dropoff, miles, whenDate, whenTime,
+ *        pickupAddress?, dropoffAddress?: structured (lib/address.js),
+ *        stops?: [{ address, postcode, action, notes }],
+ *        scheduleStart, scheduleEnd, notes }
+ */
+async function announcePaidJob(job, { key }) {
+  const bookingRef = job.bookingRef || '';
+  const amount = Number(job.amountPaid || 0);
+  const stops = Array.isArray(job.stops) ? job.stops : [];
+
+  const lines = [
+    '✅ Booking Paid',
+    `Ref: ${bookingRef || 'N/A'}`,
+    `Amount: £${amount.toFixed(2)} ${job.currency}`,
+    `Email: ${job.email || 'unknown'}`,
+    `Pickup: ${job.pickup || 'N/A'}`,
+    ...contactLines('Pickup', job.pickupAddress),
+    ...stops.map((s, i) =>
+      `Stop ${i + 1} (${s.action === 'collect' ? 'collect' : 'deliver'}): ${s.address}${s.notes ? ` — ${s.notes}` : ''}`),
+    `Dropoff: ${job.dropoff || 'N/A'}`,
+    ...contactLines('Dropoff', job.dropoffAddress),
+    `Miles: ${job.miles || 'N/A'}`,
+    `When (date): ${job.whenDate || 'N/A'}`,
+    `When (time): ${job.whenTime || 'N/A'}`,
+    `Schedule Start: ${job.scheduleStart || 'N/A'}`,
+    `Schedule End: ${job.scheduleEnd || 'N/A'}`
+  ];
+  if (job.mileage && job.mileage.status === 'flagged') {
+    lines.push(`⚠️ Miles flagged: customer ${job.mileage.submitted}, route ${job.mileage.server ?? 'N/A'}`);
+  }
+  if (job.serviceArea && job.serviceArea.tier) {
+    lines.push(`Service area: ${job.serviceArea.tier} (${job.serviceArea.positioningMiles ?? 'N/A'} miles from base)`);
+  }
+  if (job.vehicle) {
+    lines.push(`Vehicle: ${job.vehicle.name}${job.depot ? ` (${job.depot.name})` : ''}`);
+    lines.push(`Driver: ${job.driver ? job.driver.name : 'unassigned'}`);
+  }
+  if (job.scheduleConflict) {
+    lines.push(`⚠️ Schedule clash with ${job.scheduleConflict.bookingRef || 'a held slot'} (${job.scheduleConflict.type.replace('_', ' ')})`);
+  }
+  if (job.seriesId) lines.push(`Series: ${job.seriesId}${job.repeat ? ` (${job.repeat})` : ''}`);
+  if (job.sessionId) lines.push(`Session: ${job.sessionId}`);
+  else if (job.paymentIntent) lines.push(`PI: ${job.paymentIntent}`);
+
+  await outbox.send('telegram', { text: lines.join('\n') }, { key, bookingRef });
+
+  const payload = {
+    source: job.source,
+    mode: job.mode,
+    bookingRef,
+    sessionId: job.sessionId || null,
+    paymentIntent: job.paymentIntent || null,
+    seriesId: job.seriesId || '',
+    email: job.email || 'unknown',
+    amountPaid: amount,
+    currency: job.currency,
+    pickup: job.pickup || '',
+    dropoff: job.dropoff || '',
+    pickupAddress: job.pickupAddress || null,
+    dropoffAddress: job.dropoffAddress || null,
+    stops: stops.map((s, i) => ({
+      sequence: i + 1,
+      action: s.action,
+      address: s.address,
+      postcode: s.postcode || '',
+      notes: s.notes || ''
+    })),
+    stopCount: stops.length,
+    miles: job.miles || '',
+    mileageStatus: job.mileage ? job.mileage.status : '',
+    serviceTier: job.serviceArea ? job.serviceArea.tier || '' : '',
+    positioningMiles: job.serviceArea ? job.serviceArea.positioningMiles ?? null : null,
+    whenDate: job.whenDate || '',
+    whenTime: job.whenTime || '',
+    scheduleStart: job.scheduleStart || '',
+    scheduleEnd: job.scheduleEnd || '',
+    // Jobs booked before vehicles were assigned go to the first van in the fleet
+    vehicle: job.vehicle ? job.vehicle.name : ((listVehicles()[0] || {}).name || 'Main Van'),
+    vehicleId: job.vehicle ? job.vehicle.id : '',
+    vehicleClass: job.vehicle ? job.vehicle.class : '',
+    depot: job.depot || null,
+    driverId: job.driver ? job.driver.id : '',
+    driverName: job.driver ? job.driver.name : '',
+    notes: job.notes || '',
+    // For the customer's confirmation email
+    trackingUrl: bookingRef ? trackingUrl(bookingRef) : ''
+  };
+
+  await outbox.send('make_create_job', payload, { key, bookingRef });
+}
+
+module.exports = {
+  announcePaidJob
+};
@@ -0,0 +1,98 @@
+/**
+ * lib/availability.js
+ * Slot availability check against the fleet's booked windows
+ * (lib/scheduler.js), shared by /api/availability and recurring series
+ * planning.
+ *
+ * Every suitable vehicle in the fleet (lib/fleet.js: class, capacity,
+ * hours) is tried in turn, nearest depot first; the first one with no
+ * clash (overlap, or too little time to drive between jobs) is returned as
+ * `assignment`. Other customers' unexpired holds count as taken; the
+ * caller's own (holdId) doesn't.
+ *
+ * checkAvailability(job) → { available, reason, message, scheduleStart, scheduleEnd, assignment? }
+ * job is quote-shaped (pickup, dropoff, stops, miles, whenDate, whenTime,
+ * industry, serviceType, immediateDelivery, accountCode?, email?). job.miles
+ * must be a server figure (lib/mileage.js), never the customer's. The job
+ * is priced (lib/quote.js) and the window sized from its effectiveMiles,
+ * as checkout and slots do, so a same-day return holds both legs.
+ *   reason: '' | 'invalid' | 'out_of_range' | 'no_vehicle' | 'clash' | 'error'
+ * 'out_of_range': the pickup is in a manual-quote service-area tier
+ * (lib/service-area.js), or the job is too far to price online, so no slot
+ * can be booked online.
+ * 'no_vehicle': no vehicle's hours / class / capacity fit the job.
+ * 'error': the schedule couldn't be read; callers decide how to treat it.
+ */
+
+const { computeScheduleWindow } = require('./schedule');
+const { resolveServiceArea, MANUAL_QUOTE_MESSAGE } = require('./service-area');
+const { assignVehicle } = require('./scheduler');
+const { priceBooking } = require('./quote');
+
+const UNAVAILABLE_MESSAGE = 'That time slot is no longer available. Please choose a different time.';
+
+async function checkAvailability(job = {}) {
+  const {
+    pickup = '',
+    dropoff = '',
+    miles = '',
+    whenDate = '',
+    whenTime = '',
+    stops = [],
+    vehicleClass = '',
+    loadKg = 0,
+    holdId = ''
+  } = job;
+  const unavailable = (reason, extra = {}) => ({
+    available: false,
+    reason,
+    message: UNAVAILABLE_MESSAGE,
+    scheduleStart: null,
+    scheduleEnd: null,
+    ...extra
+  });
+
+  if (!pickup || !dropoff || !miles || !whenDate || !whenTime) {
+    return unavailable('invalid');
+  }
+
+  const area = await resolveServiceArea(pickup);
+  if (!area.ok) return unavailable('invalid');
+  if (area.manual) return unavailable('out_of_range', { message: MANUAL_QUOTE_MESSAGE });
+
+  const pricing = priceBooking({ ...job, serviceTier: area.tier });
+  if (!pricing.ok) {
+    return pricing.manual ? unavailable('out_of_range', { message: pricing.error }) : unavailable('invalid');
+  }
+
+  const stopCount = Array.isArray(stops) ? stops.length : 0;
+  const { scheduleStart, scheduleEnd } = computeScheduleWindow({
+    whenDate,
+    whenTime,
+    miles: pricing.priced.effectiveMiles,
+    stops: stopCount
+  });
+  if (!scheduleStart || !scheduleEnd) {
+    return unavailable('invalid');
+  }
+
+  let result;
+  try {
+    result = await assignVehicle({ pickup, dropoff, scheduleStart, scheduleEnd, stops: stopCount, vehicleClass, loadKg, holdId });
+  } catch (err) {
+    console.error('Availability error:', err);
+    return unavailable('error', { scheduleStart, scheduleEnd });
+  }
+
+  if (!result.ok) return unavailable('invalid');
+  if (!result.assignment) {
+    return unavailable(result.reason, { scheduleStart, scheduleEnd, excluded: result.excluded });
+  }
+
+  return { available: true, reason: '', message: '', scheduleStart, scheduleEnd, assignment: result.assignment };
+}
+
+module.exports = {
+  UNAVAILABLE_MESSAGE,
+  checkAvailability
+};
@@ -0,0 +1,48 @@
+/**
+ * lib/bank-holiday-calendar.js
+ * Loads the bank holiday calendar for the API.
+ *
+ * Source: BANK_HOLIDAYS_FILE (path to a GOV.UK bank-holidays.json download)
+ * or the bundled data/bank-holidays.json, which is also what book.html fetches.
+ * Refresh the bundled file from https://www.gov.uk/bank-holidays.json each year.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCalendar, divisionForPostcode } = require('./bank-holidays');
+
+const BUNDLED_FILE = path.join(__dirname, '..', 'data', 'bank-holidays.json');
+
+let cached = null;
+
+function getBankHolidayCalendar() {
+  if (cached) return cached;
+
+  const file = process.env.BANK_HOLIDAYS_FILE || BUNDLED_FILE;
+  try {
+    cached = createCalendar(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    console.error('Bank holiday calendar not readable; bank holiday uplift disabled.', e.message);
+    cached = createCalendar({});
+  }
+  return cached;
+}
+
+/**
+ * Bank holiday status for a job collected at `pickupPostcode` on `whenDate`.
+ * Returns { region, isBankHoliday, name }.
+ */
+function lookupBankHoliday({ pickupPostcode, whenDate }) {
+  const region = divisionForPostcode(pickupPostcode);
+  const ev = getBankHolidayCalendar().find(whenDate, region);
+  return {
+    region,
+    isBankHoliday: !!ev,
+    name: ev ? ev.title : ''
+  };
+}
+
+module.exports = {
+  getBankHolidayCalendar,
+  lookupBankHoliday
+};
@@ -0,0 +1,81 @@
+/**
+ * lib/bank-holidays.js
+ * UK bank holiday lookups over a GOV.UK-format calendar
+ * (https://www.gov.uk/bank-holidays.json):
+ *   { "england-and-wales": { division, events: [{ title, date, notes, bunting }] }, "scotland": …, "northern-ireland": … }
+ *
+ * Shared by the API (see lib/bank-holiday-calendar.js for loading) and
+ * book.html (window.GileadBankHolidays, calendar fetched from /data/bank-holidays.json).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GileadBankHolidays = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ENGLAND_AND_WALES = 'england-and-wales';
+  const SCOTLAND = 'scotland';
+  const NORTHERN_IRELAND = 'northern-ireland';
+
+  // Postcode areas that are (almost entirely) in Scotland
+  const SCOTTISH_AREAS = [
+    'AB', 'DD', 'DG', 'EH', 'FK', 'G', 'HS', 'IV', 'KA',
+    'KW', 'KY', 'ML', 'PA', 'PH', 'TD', 'ZE'
+  ];
+
+  // English districts inside otherwise-Scottish areas
+  const ENGLISH_EXCEPTIONS = ['TD15'];
+
+  /**
+   * Bank holiday division for a postcode. Anything unrecognised falls back
+   * to England & Wales.
+   */
+  function divisionForPostcode(postcode) {
+    const compact = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+    const outward = /^[A-Z]{1,2}\d{1,2}[A-Z]?\d[A-Z]{2}$/.test(compact) ? compact.slice(0, -3) : compact;
+    const area = (/^[A-Z]{1,2}/.exec(outward) || [''])[0];
+
+    if (area === 'BT') return NORTHERN_IRELAND;
+    if (ENGLISH_EXCEPTIONS.includes(outward)) return ENGLAND_AND_WALES;
+    if (SCOTTISH_AREAS.includes(area)) return SCOTLAND;
+    return ENGLAND_AND_WALES;
+  }
+
+  /**
+   * Indexes a GOV.UK-format calendar. Returns
+   *   { find(dateStr, division) → event|null, isBankHoliday(dateStr, division) → bool }
+   * dateStr is "YYYY-MM-DD" (the job's local date).
+   */
+  function createCalendar(govukJson) {
+    const index = {};
+    for (const key of Object.keys(govukJson || {})) {
+      const div = govukJson[key] || {};
+      const byDate = {};
+      for (const ev of (div.events || [])) {
+        if (ev && ev.date) byDate[ev.date] = ev;
+      }
+      index[div.division || key] = byDate;
+    }
+
+    function find(dateStr, division) {
+      const byDate = index[division || ENGLAND_AND_WALES] || {};
+      return byDate[String(dateStr || '').trim()] || null;
+    }
+
+    return {
+      find,
+      isBankHoliday: (dateStr, division) => !!find(dateStr, division)
+    };
+  }
+
+  return {
+    ENGLAND_AND_WALES,
+    SCOTLAND,
+    NORTHERN_IRELAND,
+    divisionForPostcode,
+    createCalendar
+  };
+});
@@ -0,0 +1,239 @@
+/**
+ * lib/bookings.js
+ * Booking repository and lifecycle.
+ *
+ * Lifecycle (see TRANSITIONS):
+ *   pending_payment → paid | cancelled
+ *   paid            → scheduled | cancelled | refunded
+ *   scheduled       → en_route | collected | cancelled | refunded
+ *   en_route        → collected | failed_attempt | cancelled
+ *   collected       → delivered | failed_attempt
+ *   failed_attempt  → en_route | scheduled | cancelled | refunded
+ *   delivered       → refunded
+ *   cancelled       → refunded
+ *
+ * Checkout creates the booking in pending_payment; the Stripe webhook, the
+ * driver API (accepting a job schedules it, then en_route … delivered) and
+ * ops actions move it on. Every change is appended to booking.history.
+ * Invalid moves are refused, not forced.
+ *
+ * A paid booking books its vehicle's window in lib/scheduler.js (converting
+ * its checkout hold); cancelling or refunding it releases the window and
+ * any hold. Creation and every move are also logged to the booking's
+ * custody chain (lib/custody.js). A move from a live status (en_route,
+ * collected) to one that isn't live deletes the driver's live position
+ * (lib/locations.js); en_route → collected keeps it.
+ */
+
+const { getCollection } = require('./store');
+const { londonParts } = require('./time');
+const { n2 } = require('./pricing');
+const { reserveWindow, releaseWindow } = require('./scheduler');
+const { logStatusChange } = require('./custody');
+const { LIVE_STATUSES, clearLocation } = require('./locations');
+
+const STATUSES = [
+  'pending_payment',
+  'paid',
+  'scheduled',
+  'en_route',
+  'collected',
+  'failed_attempt',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+const TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['scheduled', 'cancelled', 'refunded'],
+  scheduled: ['en_route', 'collected', 'cancelled', 'refunded'],
+  en_route: ['collected', 'failed_attempt', 'cancelled'],
+  collected: ['delivered', 'failed_attempt'],
+  failed_attempt: ['en_route', 'scheduled', 'cancelled', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const MAX_REF_ATTEMPTS = 20;
+
+function bookings() {
+  return getCollection('bookings');
+}
+
+// GC-YYYYMMDD-NNNN, dated in UK time
+function makeBookingRef(now = new Date()) {
+  const ymd = londonParts(now).date.replace(/-/g, '');
+  const rand = String(Math.floor(1000 + Math.random() * 9000));
+  return `GC-${ymd}-${rand}`;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Booking fields from a checkout request body and its server-side price
+ * (lib/quote.js priceBooking → priced), plus the schedule window.
+ */
+function bookingFieldsFromRequest(body, priced, { scheduleStart, scheduleEnd }) {
+  const b = body || {};
+  return {
+    company: String(b.company || ''),
+    industry: String(b.industry || ''),
+    serviceType: String(b.serviceType || 'oneway').trim(),
+    immediateDelivery: !!b.immediateDelivery,
+    pickup: String(b.pickup || ''),
+    dropoff: String(b.dropoff || ''),
+    pickupAddress: b.pickupAddress || null,
+    dropoffAddress: b.dropoffAddress || null,
+    stops: Array.isArray(b.stops) ? b.stops : [],
+    serviceArea: b.serviceArea || null,
+    milesOneWay: n2(Number(b.miles)),
+    milesEffective: n2(priced.effectiveMiles),
+    email: String(b.email || ''),
+    poNumber: String(b.poNumber || ''),
+    whenDate: String(b.whenDate || ''),
+    whenTime: String(b.whenTime || ''),
+    notes: String(b.notes || ''),
+    scheduleStart,
+    scheduleEnd,
+    pricing: {
+      pricingRuleVersion: priced.pricingRuleVersion,
+      quoteId: priced.quoteId || '',
+      total: priced.total,
+      amountPence: priced.amountPence,
+      contract: priced.contract,
+      bankHoliday: priced.bankHoliday,
+      breakdown: priced.breakdown
+    }
+  };
+}
+
+/**
+ * Creates a booking in pending_payment under a fresh, unique reference.
+ * Returns the stored booking.
+ */
+async function createBooking(fields, { actor = 'checkout' } = {}) {
+  const col = bookings();
+  const at = new Date().toISOString();
+
+  for (let i = 0; i < MAX_REF_ATTEMPTS; i++) {
+    const bookingRef = makeBookingRef();
+    const booking = {
+      ...fields,
+      bookingRef,
+      status: 'pending_payment',
+      createdAt: at,
+      updatedAt: at,
+      history: [{ status: 'pending_payment', at, by: actor, note: '' }]
+    };
+
+    if (await col.insert(bookingRef, booking)) {
+      await logStatusChange(bookingRef, null, 'pending_payment', { actor });
+      return booking;
+    }
+  }
+
+  throw new Error('Could not allocate a unique booking reference');
+}
+
+async function getBooking(bookingRef) {
+  return bookings().get(String(bookingRef || ''));
+}
+
+async function listBookings({ status } = {}) {
+  const all = await bookings().list(status ? (b) => b.status === status : undefined);
+  return all.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Merges `patch` into a booking without changing its status.
+ * Returns the updated booking or null if not found.
+ */
+async function updateBooking(bookingRef, patch) {
+  return bookings().update(String(bookingRef || ''), (b) => {
+    if (!b) return undefined;
+    return { ...b, ...patch, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Moves a booking to `to`, optionally merging `patch`.
+ *
+ * Returns { ok: true, booking, changed, schedule? } or { ok: false, error, booking? }.
+ * Re-applying the current status is a no-op (changed: false), so webhook
+ * retries are harmless. `schedule` is the lib/scheduler.js result when the
+ * move booked or released a window (schedule.conflict flags a clash).
+ */
+async function transitionBooking(bookingRef, to, { actor = 'system', note = '', patch = {} } = {}) {
+  if (!STATUSES.includes(to)) return { ok: false, error: `Unknown status: ${to}` };
+
+  let result = null;
+  let from = '';
+
+  await bookings().update(String(bookingRef || ''), (b) => {
+    if (!b) {
+      result = { ok: false, error: 'Booking not found' };
+      return undefined;
+    }
+
+    if (b.status === to) {
+      result = { ok: true, booking: b, changed: false };
+      return undefined;
+    }
+
+    if (!canTransition(b.status, to)) {
+      result = { ok: false, error: `Cannot move booking from ${b.status} to ${to}`, booking: b };
+      return undefined;
+    }
+
+    from = b.status;
+    const at = new Date().toISOString();
+    const next = {
+      ...b,
+      ...patch,
+      status: to,
+      updatedAt: at,
+      history: [...(b.history || []), { status: to, at, by: actor, note: String(note || '') }]
+    };
+    result = { ok: true, booking: next, changed: true };
+    return next;
+  });
+
+  if (result.ok && result.changed) {
+    await logStatusChange(result.booking.bookingRef, from, to, { actor, note });
+    if (LIVE_STATUSES.includes(from) && !LIVE_STATUSES.includes(to)) {
+      await clearLocation(result.booking.bookingRef);
+    }
+    result.schedule = await syncSchedule(result.booking, to, note);
+  }
+
+  return result;
+}
+
+// The booking has already moved; a scheduler failure is logged, not returned
+async function syncSchedule(booking, to, note) {
+  try {
+    if (to === 'paid') return await reserveWindow(booking);
+    if (to === 'cancelled' || to === 'refunded') {
+      return await releaseWindow(booking.bookingRef, { reason: String(note || to), holdId: booking.holdId || '' });
+    }
+  } catch (e) {
+    console.error(`Schedule not updated for ${booking.bookingRef} (${to}):`, e);
+  }
+  return undefined;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  canTransition,
+  bookingFieldsFromRequest,
+  createBooking,
+  getBooking,
+  listBookings,
+  updateBooking,
+  transitionBooking
+};
@@ -0,0 +1,110 @@
+/**
+ * lib/cache.js
+ * Small TTL cache: in-memory LRU, optionally backed by the record store
+ * (lib/store.js) so entries survive cold starts and are shared between
+ * instances using the same store.
+ *
+ *   const c = createCache('geocode', { max: 5000, ttlMs, persist: true });
+ *   await c.get(key)            → value or undefined
+ *   await c.set(key, value, ttlMs?)
+ *   c.stats()                   → { name, size, hits, persistentHits, misses, sets, evictions, expired }
+ *
+ * Persistent entries live in collection "cache_<name>"; expired ones are
+ * dropped when read. getCacheStats() reports every cache created.
+ */
+
+const { getCollection } = require('./store');
+
+const registry = new Map();
+
+function createCache(name, { max = 1000, ttlMs = 60 * 60 * 1000, persist = false } = {}) {
+  const mem = new Map(); // key → { value, expiresAt }
+  const counters = { hits: 0, persistentHits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+  const store = () => getCollection(`cache_${name}`);
+
+  function remember(key, entry) {
+    mem.delete(key);
+    mem.set(key, entry);
+    while (mem.size > max) {
+      mem.delete(mem.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  const cache = {
+    name,
+
+    async get(key) {
+      const now = Date.now();
+      const hit = mem.get(key);
+      if (hit) {
+        if (hit.expiresAt > now) {
+          remember(key, hit); // bump to most-recent
+          counters.hits++;
+          return hit.value;
+        }
+        mem.delete(key);
+        counters.expired++;
+      }
+
+      if (persist) {
+        try {
+          const rec = await store().get(key);
+          if (rec && rec.expiresAt > now) {
+            remember(key, { value: rec.value, expiresAt: rec.expiresAt });
+            counters.persistentHits++;
+            return rec.value;
+          }
+          if (rec) {
+            counters.expired++;
+            await store().remove(key);
+          }
+        } catch (e) {
+          console.warn(`Cache ${name}: persistent read failed`, e.message);
+        }
+      }
+
+      counters.misses++;
+      return undefined;
+    },
+
+    async set(key, value, ttl = ttlMs) {
+      const entry = { value, expiresAt: Date.now() + ttl };
+      remember(key, entry);
+      counters.sets++;
+
+      if (persist) {
+        try {
+          await store().put(key, entry);
+        } catch (e) {
+          console.warn(`Cache ${name}: persistent write failed`, e.message);
+        }
+      }
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.persistentHits + counters.misses;
+      return {
+        name,
+        size: mem.size,
+        max,
+        ttlMs,
+        persist,
+        ...counters,
+        hitRate: lookups ? Math.round(((counters.hits + counters.persistentHits) / lookups) * 1000) / 1000 : null
+      };
+    }
+  };
+
+  registry.set(name, cache);
+  return cache;
+}
+
+function getCacheStats() {
+  return [...registry.values()].map((c) => c.stats());
+}
+
+module.exports = {
+  createCache,
+  getCacheStats
+};
@@ -0,0 +1,126 @@
+/**
+ * lib/contracts.js
+ * Customer contract pricing store.
+ *
+ * Contracts are keyed on an account code (entered on the booking form) and
+ * can set:
+ * - fixed lane prices (service type + pickup/dropoff postcode area, outward
+ *   code or full postcode)
+ * - a per-account manual quote limit (replaces the industry profile's)
+ * - effective dates on the account and on each lane (inclusive, job date)
+ * - emailDomains the booking email must belong to; an account without
+ *   any can't be used, so the code alone never unlocks contract rates
+ *
+ * Source: CONTRACTS_JSON env (JSON string), else CONTRACTS_FILE (a path
+ * outside the deployed site). Never keep the rate card in the repo: every
+ * file here is served as a static asset. Shape:
+ *   { "accounts": { "ACME": { name, emailDomains: ["acme.co.uk"], effectiveFrom,
+ *     effectiveTo, manualQuoteMiles, lanes: [{ id, description, serviceType,
+ *     pickup: ["ME"], dropoff: ["CF"], price, effectiveFrom, effectiveTo }] } } }
+ */
+
+const fs = require('fs');
+const { extractPostcode, postcodeMatches } = require('./postcodes');
+
+let cached = null;
+
+function loadContracts() {
+  if (cached) return cached;
+
+  let raw = process.env.CONTRACTS_JSON || '';
+  if (!raw && process.env.CONTRACTS_FILE) {
+    try {
+      raw = fs.readFileSync(process.env.CONTRACTS_FILE, 'utf8');
+    } catch (e) {
+      console.warn('Contracts file not readable; contract pricing disabled.', e.message);
+    }
+  }
+  if (!raw) raw = '{}';
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    console.warn('Contracts JSON not valid; contract pricing disabled.', e.message);
+    parsed = {};
+  }
+  const accounts = {};
+  for (const [code, acct] of Object.entries(parsed.accounts || {})) {
+    accounts[normaliseAccountCode(code)] = acct;
+  }
+
+  cached = { accounts };
+  return cached;
+}
+
+function normaliseAccountCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9-]/g, '');
+}
+
+// Inclusive YYYY-MM-DD window; open-ended when from/to are empty
+function isEffective(item, onDate) {
+  if (!onDate) return true;
+  if (item.effectiveFrom && onDate < item.effectiveFrom) return false;
+  if (item.effectiveTo && onDate > item.effectiveTo) return false;
+  return true;
+}
+
+function emailAllowed(acct, email) {
+  const domains = (acct.emailDomains || []).map((d) => String(d).toLowerCase());
+  if (!domains.length) return false;
+  const domain = String(email || '').toLowerCase().split('@')[1] || '';
+  return domains.includes(domain);
+}
+
+/**
+ * Resolves the contract terms for a booking.
+ *
+ * Returns:
+ *   { ok: true, contract: null }                      no account code given
+ *   { ok: true, contract: { accountCode, name, manualQuoteMiles, lane } }
+ *   { ok: false, error }                              unknown / inactive / wrong email
+ *
+ * `lane` is { id, price } when a fixed lane matches, otherwise null (the
+ * industry profile prices the job, subject to the account's manual limit).
+ * Lanes are point-to-point, so a multi-stop job never matches one.
+ */
+function resolveContract({ accountCode, email, serviceType, pickup, dropoff, whenDate, stopCount = 0 }) {
+  const code = normaliseAccountCode(accountCode);
+  if (!code) return { ok: true, contract: null };
+
+  const acct = loadContracts().accounts[code];
+  if (!acct || !isEffective(acct, whenDate)) {
+    return { ok: false, error: 'Unknown or inactive account code' };
+  }
+
+  if (!emailAllowed(acct, email)) {
+    return { ok: false, error: 'Email address is not registered to this account' };
+  }
+
+  const st = serviceType === 'return_same_day' ? 'return_same_day' : 'oneway';
+  const pickupPc = extractPostcode(pickup);
+  const dropoffPc = extractPostcode(dropoff);
+
+  const lane = stopCount > 0 ? null : (acct.lanes || []).find((l) =>
+    (l.serviceType || 'oneway') === st &&
+    isEffective(l, whenDate) &&
+    (l.pickup || []).some((p) => postcodeMatches(pickupPc, p)) &&
+    (l.dropoff || []).some((p) => postcodeMatches(dropoffPc, p))
+  );
+
+  return {
+    ok: true,
+    contract: {
+      accountCode: code,
+      name: acct.name || code,
+      manualQuoteMiles: Number(acct.manualQuoteMiles) || null,
+      lane: lane ? { id: lane.id, price: Number(lane.price) } : null
+    }
+  };
+}
+
+module.exports = {
+  loadContracts,
+  normaliseAccountCode,
+  resolveContract
+};
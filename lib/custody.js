@@ -0,0 +1,206 @@
+/**
+ * lib/custody.js
+ * Chain-of-custody log per booking, for clients (legal, defence, medical,
+ * government) who need to show who held a consignment and when.
+ *
+ * Collection "custody", keyed by bookingRef: { bookingRef, entries: [...] }
+ * Entries are only ever appended:
+ *   { seq, bookingRef, type, at, actor, details, prevHash, hash }
+ *   type: status   { from, to, note }           (every lib/bookings.js move)
+ *         handover { from, to, location?, note? }
+ *         seal     { sealNumber, action: applied | checked | broken | removed, note? }
+ *         scan     { code, location?, note? }
+ *
+ * hash = SHA-256 over the entry without `hash`, as JSON with sorted keys
+ * and no whitespace; prevHash is the previous entry's hash (64 zeros for
+ * the first). Editing or removing any entry breaks every hash after it.
+ *
+ * exportCustody() adds an HMAC seal (CUSTODY_SIGNING_SECRET) over the head
+ * hash, so a client can hand an export back and we can confirm we issued
+ * it unchanged (verifyExport).
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { safeEqual } = require('./ops-auth');
+
+const TYPES = ['status', 'handover', 'seal', 'scan'];
+const SEAL_ACTIONS = ['applied', 'checked', 'broken', 'removed'];
+const GENESIS_HASH = '0'.repeat(64);
+const EXPORT_FORMAT = 'gilead-custody-v1';
+
+function custody() {
+  return getCollection('custody');
+}
+
+// JSON with object keys sorted at every level
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+}
+
+function text(value, max) {
+  return String(value || '').trim().slice(0, max);
+}
+
+/**
+ * Checks a handover / seal / scan event from a driver or ops.
+ * → { ok: true, type, details } | { ok: false, error }
+ */
+function normaliseCustodyEvent(body) {
+  const b = body || {};
+  const type = String(b.type || '');
+  const note = text(b.note, 300);
+  const extra = note ? { note } : {};
+
+  if (type === 'handover') {
+    const from = text(b.from, 80);
+    const to = text(b.to, 80);
+    if (!from || !to) return { ok: false, error: 'A handover needs from and to' };
+    return { ok: true, type, details: { from, to, location: text(b.location, 120), ...extra } };
+  }
+
+  if (type === 'seal') {
+    const sealNumber = text(b.sealNumber, 40);
+    const action = String(b.action || 'applied');
+    if (!sealNumber) return { ok: false, error: 'Missing sealNumber' };
+    if (!SEAL_ACTIONS.includes(action)) return { ok: false, error: `Seal action must be one of ${SEAL_ACTIONS.join(', ')}` };
+    return { ok: true, type, details: { sealNumber, action, ...extra } };
+  }
+
+  if (type === 'scan') {
+    const code = text(b.code, 120);
+    if (!code) return { ok: false, error: 'Missing scan code' };
+    return { ok: true, type, details: { code, location: text(b.location, 120), ...extra } };
+  }
+
+  return { ok: false, error: 'type must be handover, seal or scan' };
+}
+
+/**
+ * Appends one entry to the booking's chain. → the stored entry
+ */
+async function appendCustody(bookingRef, type, details, { actor = 'system' } = {}) {
+  if (!TYPES.includes(type)) throw new Error(`Unknown custody type: ${type}`);
+  const ref = String(bookingRef || '');
+  let entry = null;
+
+  await custody().update(ref, (log) => {
+    const entries = (log && log.entries) || [];
+    const prev = entries[entries.length - 1];
+    entry = {
+      seq: entries.length + 1,
+      bookingRef: ref,
+      type,
+      at: new Date().toISOString(),
+      actor: String(actor),
+      details: details || {},
+      prevHash: prev ? prev.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    return { bookingRef: ref, entries: [...entries, entry] };
+  });
+
+  return entry;
+}
+
+// Status moves are logged after the booking has moved; a failure is logged, not thrown
+async function logStatusChange(bookingRef, from, to, { actor = 'system', note = '' } = {}) {
+  try {
+    await appendCustody(bookingRef, 'status', { from: from || null, to, note: String(note || '') }, { actor });
+  } catch (e) {
+    console.error(`Custody not logged for ${bookingRef} (${from} → ${to}):`, e);
+  }
+}
+
+async function getCustody(bookingRef) {
+  const log = await custody().get(String(bookingRef || ''));
+  return log ? log.entries : [];
+}
+
+/**
+ * Re-checks a chain. → { ok: true, headHash } | { ok: false, seq, error }
+ */
+function verifyChain(entries) {
+  let prevHash = GENESIS_HASH;
+  for (const [i, e] of (entries || []).entries()) {
+    if (e.seq !== i + 1) return { ok: false, seq: i + 1, error: 'Entry missing or out of order' };
+    if (e.prevHash !== prevHash) return { ok: false, seq: e.seq, error: 'Does not follow the previous entry' };
+    if (hashEntry(e) !== e.hash) return { ok: false, seq: e.seq, error: 'Entry altered' };
+    prevHash = e.hash;
+  }
+  return { ok: true, headHash: prevHash };
+}
+
+function sealFor(bookingRef, count, headHash) {
+  const secret = process.env.CUSTODY_SIGNING_SECRET || '';
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`${EXPORT_FORMAT}:${bookingRef}:${count}:${headHash}`).digest('hex');
+}
+
+/**
+ * The whole log as a self-describing document for a client's compliance
+ * team. seal is null if CUSTODY_SIGNING_SECRET isn't set.
+ */
+async function exportCustody(bookingRef) {
+  const ref = String(bookingRef || '');
+  const entries = await getCustody(ref);
+  const check = verifyChain(entries);
+  const headHash = check.ok ? check.headHash : null;
+
+  if (!check.ok) console.error(`Custody chain for ${ref} fails at entry ${check.seq}: ${check.error}`);
+
+  return {
+    format: EXPORT_FORMAT,
+    bookingRef: ref,
+    generatedAt: new Date().toISOString(),
+    verification: 'hash = SHA-256 (hex) of each entry without "hash", serialised as UTF-8 JSON with keys sorted ' +
+      'and no whitespace; prevHash = the previous entry\'s hash, 64 zeros for the first.',
+    entryCount: entries.length,
+    headHash,
+    intact: check.ok,
+    entries,
+    seal: headHash ? sealFor(ref, entries.length, headHash) : null
+  };
+}
+
+/**
+ * Checks an export handed back to us: the chain must be intact and the
+ * seal ours. → { ok: true } | { ok: false, error }
+ */
+function verifyExport(doc) {
+  const d = doc || {};
+  if (d.format !== EXPORT_FORMAT || !Array.isArray(d.entries)) return { ok: false, error: 'Not a custody export' };
+  if (d.entries.some((e) => e.bookingRef !== d.bookingRef)) return { ok: false, error: 'Entries belong to another booking' };
+
+  const check = verifyChain(d.entries);
+  if (!check.ok) return { ok: false, error: `Entry ${check.seq}: ${check.error}` };
+  if (check.headHash !== d.headHash || d.entries.length !== d.entryCount) {
+    return { ok: false, error: 'Head hash or entry count altered' };
+  }
+
+  const expected = sealFor(d.bookingRef, d.entryCount, d.headHash);
+  if (!expected) return { ok: false, error: 'Seal cannot be checked (CUSTODY_SIGNING_SECRET not set)' };
+  if (!safeEqual(d.seal || '', expected)) return { ok: false, error: 'Seal does not match' };
+  return { ok: true };
+}
+
+module.exports = {
+  TYPES,
+  SEAL_ACTIONS,
+  normaliseCustodyEvent,
+  appendCustody,
+  logStatusChange,
+  getCustody,
+  verifyChain,
+  exportCustody,
+  verifyExport
+};
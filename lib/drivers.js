@@ -0,0 +1,192 @@
+/**
+ * lib/drivers.js
+ * Drivers, their API tokens, and which driver has each job.
+ *
+ * Collection "drivers", keyed by driverId:
+ *   { driverId, name, phone, vehicleId, active, tokenHash, createdAt, updatedAt }
+ *
+ * vehicleId is the van the driver normally runs (lib/fleet.js). Tokens are
+ * shown once when issued (create / rotate via /api/ops/drivers) and only
+ * their SHA-256 is stored; drivers send them as a bearer token to
+ * /api/driver/* (jobs, pod, custody).
+ *
+ * A paid booking is given to an active driver of its vehicle who has no
+ * other job in that window (autoAssignDriver); dispatch can assign or
+ * reassign by hand. booking.driver:
+ *   { id, name, assignedAt, assignedBy: 'auto' | 'ops', acceptedAt }
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { bearerToken } = require('./ops-auth');
+const { listBookings, getBooking, updateBooking } = require('./bookings');
+
+// Statuses in which a job still occupies its driver
+const ACTIVE_JOB_STATUSES = ['paid', 'scheduled', 'en_route', 'collected', 'failed_attempt'];
+
+function drivers() {
+  return getCollection('drivers');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Without the token hash, for API responses
+function publicDriver(d) {
+  if (!d) return null;
+  const { tokenHash, ...rest } = d;
+  return rest;
+}
+
+async function listDrivers({ active } = {}) {
+  const all = await drivers().list(active === undefined ? undefined : (d) => !!d.active === active);
+  return all.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+async function getDriver(driverId) {
+  return drivers().get(String(driverId || ''));
+}
+
+/**
+ * Adds a driver. Returns { driver, token }; the token isn't stored and
+ * can't be shown again.
+ */
+async function createDriver({ name, phone = '', vehicleId = '' }) {
+  const token = newToken();
+  const at = new Date().toISOString();
+
+  for (;;) {
+    const driverId = `drv_${crypto.randomBytes(4).toString('hex')}`;
+    const driver = {
+      driverId,
+      name: String(name).trim().slice(0, 80),
+      phone: String(phone || '').trim().slice(0, 20),
+      vehicleId: String(vehicleId || '').trim(),
+      active: true,
+      tokenHash: hashToken(token),
+      createdAt: at,
+      updatedAt: at
+    };
+    if (await drivers().insert(driverId, driver)) return { driver, token };
+  }
+}
+
+/**
+ * Changes name / phone / vehicleId / active. Returns the driver or null.
+ */
+async function updateDriver(driverId, patch) {
+  const allowed = {};
+  for (const k of ['name', 'phone', 'vehicleId']) {
+    if (patch[k] !== undefined) allowed[k] = String(patch[k]).trim();
+  }
+  if (patch.active !== undefined) allowed.active = !!patch.active;
+
+  return drivers().update(String(driverId || ''), (d) => {
+    if (!d) return undefined;
+    return { ...d, ...allowed, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Issues a new token, invalidating the old one. → { driver, token } or null.
+ */
+async function rotateDriverToken(driverId) {
+  const token = newToken();
+  const driver = await drivers().update(String(driverId || ''), (d) => {
+    if (!d) return undefined;
+    return { ...d, tokenHash: hashToken(token), updatedAt: new Date().toISOString() };
+  });
+  return driver ? { driver, token } : null;
+}
+
+/**
+ * The active driver whose token the request carries, or null.
+ */
+async function authenticateDriver(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  const hash = hashToken(token);
+  const [driver] = await drivers().list((d) => d.active && d.tokenHash === hash);
+  return driver || null;
+}
+
+function overlaps(a, b) {
+  return Date.parse(a.scheduleStart) < Date.parse(b.scheduleEnd) &&
+    Date.parse(b.scheduleStart) < Date.parse(a.scheduleEnd);
+}
+
+/**
+ * Gives a booking to a driver (by = 'auto' | 'ops'); driverId '' unassigns.
+ * → { ok: true, booking } | { ok: false, status, error }
+ */
+async function assignDriver(bookingRef, driverId, { by = 'ops' } = {}) {
+  const booking = await getBooking(bookingRef);
+  if (!booking) return { ok: false, status: 404, error: 'Booking not found' };
+
+  if (!driverId) {
+    return { ok: true, booking: await updateBooking(bookingRef, { driver: null }) };
+  }
+
+  const driver = await getDriver(driverId);
+  if (!driver || !driver.active) return { ok: false, status: 404, error: 'Driver not found' };
+
+  const updated = await updateBooking(bookingRef, {
+    driver: {
+      id: driver.driverId,
+      name: driver.name,
+      assignedAt: new Date().toISOString(),
+      assignedBy: by,
+      acceptedAt: null
+    }
+  });
+  return { ok: true, booking: updated };
+}
+
+/**
+ * Picks a driver for a newly paid booking: active, normally on the
+ * booking's vehicle, and free for its window. Leaves the booking
+ * unassigned (for dispatch) if nobody fits. Never throws.
+ * → the driver summary on the booking, or null
+ */
+async function autoAssignDriver(booking) {
+  const b = booking || {};
+  if (!b.bookingRef || !b.vehicle || b.driver) return b.driver || null;
+
+  try {
+    const candidates = (await listDrivers({ active: true })).filter((d) => d.vehicleId === b.vehicle.id);
+    if (!candidates.length) return null;
+
+    const busy = new Set(
+      (await listBookings())
+        .filter((o) => o.bookingRef !== b.bookingRef && o.driver && ACTIVE_JOB_STATUSES.includes(o.status) && overlaps(o, b))
+        .map((o) => o.driver.id)
+    );
+
+    const driver = candidates.find((d) => !busy.has(d.driverId));
+    if (!driver) return null;
+
+    const result = await assignDriver(b.bookingRef, driver.driverId, { by: 'auto' });
+    return result.ok ? result.booking.driver : null;
+  } catch (e) {
+    console.error(`Driver not assigned to ${b.bookingRef}:`, e);
+    return null;
+  }
+}
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  publicDriver,
+  listDrivers,
+  getDriver,
+  createDriver,
+  updateDriver,
+  rotateDriverToken,
+  authenticateDriver,
+  assignDriver,
+  autoAssignDriver
+};
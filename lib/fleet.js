@@ -0,0 +1,175 @@
+/**
+ * lib/fleet.js
+ * Depots and vehicles used for availability and job assignment.
+ *
+ * Source (first found): FLEET_JSON env (JSON string) → FLEET_FILE (path) →
+ * bundled data/fleet.json:
+ *
+ *   depots:   [{ id, name, postcode, active }]
+ *   vehicles: [{ id, name, depot, class, active,
+ *                capacity: { maxStops, maxLoadKg },
+ *                hours: { mon: ["06:00", "22:00"], …, sun: null } }]
+ *
+ * A vehicle is suitable for a job when it is active, its depot is active,
+ * its class matches (if the job asks for one), its capacity covers the
+ * job's stops / load, and its hours for that day cover the whole schedule
+ * window (Europe/London). Suitable vehicles are ranked nearest-first by road
+ * miles from their depot to the pickup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractPostcode } = require('./postcodes');
+const { londonParts } = require('./time');
+const { getRoute } = require('./routing');
+
+const BUNDLED_FILE = path.join(__dirname, '..', 'data', 'fleet.json');
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Used if the fleet file is missing, so jobs still flow to the original van
+const FALLBACK_FLEET = {
+  depots: [{ id: 'GL6', name: 'Stroud depot', postcode: 'GL6 0RT', active: true }],
+  vehicles: [{ id: 'MAIN-VAN', name: 'Main Van', depot: 'GL6', class: 'van', active: true, capacity: {}, hours: null }]
+};
+
+let cached = null;
+
+function loadFleet() {
+  if (cached) return cached;
+
+  let raw = process.env.FLEET_JSON || '';
+  if (!raw) {
+    const file = process.env.FLEET_FILE || BUNDLED_FILE;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      console.warn('Fleet file not readable; using the single default van.', e.message);
+    }
+  }
+
+  const parsed = raw ? JSON.parse(raw) : FALLBACK_FLEET;
+  cached = {
+    depots: (parsed.depots || []).filter((d) => d.active !== false),
+    vehicles: (parsed.vehicles || []).filter((v) => v.active !== false)
+  };
+  return cached;
+}
+
+function listDepots() {
+  return loadFleet().depots;
+}
+
+function getDepot(id) {
+  return listDepots().find((d) => d.id === id) || null;
+}
+
+function listVehicles() {
+  const depotIds = new Set(listDepots().map((d) => d.id));
+  return loadFleet().vehicles.filter((v) => depotIds.has(v.depot));
+}
+
+/**
+ * Road miles from every active depot to a pickup, nearest first.
+ * → { ok: true, distances: [{ depot, miles, provider, approximate }] } | { ok: false, invalidPostcode, error }
+ * Depots that can't be routed right now are left out.
+ */
+async function depotDistances(pickup) {
+  const postcode = extractPostcode(pickup);
+  if (!postcode) return { ok: false, invalidPostcode: true, error: 'Invalid pickup postcode' };
+
+  const distances = [];
+  for (const depot of listDepots()) {
+    const route = await getRoute(depot.postcode, postcode);
+    if (!route.ok) {
+      if (route.invalidPostcode) return { ok: false, invalidPostcode: true, error: route.error };
+      console.warn(`Depot ${depot.id} not routed to ${postcode}.`, route.error);
+      continue;
+    }
+    distances.push({
+      depot,
+      miles: Math.max(0, Math.round(route.miles * 10) / 10),
+      provider: route.provider,
+      approximate: route.approximate
+    });
+  }
+
+  distances.sort((a, b) => a.miles - b.miles);
+  return { ok: true, distances };
+}
+
+// Hours for the window's London day must cover it entirely; no hours = any time
+function hoursCover(vehicle, scheduleStart, scheduleEnd) {
+  if (!vehicle.hours) return true;
+
+  const start = londonParts(scheduleStart);
+  const end = londonParts(scheduleEnd);
+  if (!start || !end || start.date !== end.date) return false;
+
+  const day = vehicle.hours[DAY_KEYS[start.dayOfWeek]];
+  if (!Array.isArray(day) || day.length !== 2) return false;
+  return start.time >= day[0] && end.time <= day[1];
+}
+
+// '' when suitable, otherwise why not
+function unsuitableReason(vehicle, { scheduleStart, scheduleEnd, stops = 0, vehicleClass = '', loadKg = 0 }) {
+  const cap = vehicle.capacity || {};
+  if (vehicleClass && vehicle.class !== vehicleClass) return 'class';
+  if (Number.isFinite(cap.maxStops) && stops > cap.maxStops) return 'capacity_stops';
+  if (loadKg && Number.isFinite(cap.maxLoadKg) && Number(loadKg) > cap.maxLoadKg) return 'capacity_load';
+  if (!hoursCover(vehicle, scheduleStart, scheduleEnd)) return 'hours';
+  return '';
+}
+
+/**
+ * Suitable vehicles for a job, nearest depot first.
+ * job: { pickup, scheduleStart, scheduleEnd, stops?, vehicleClass?, loadKg? }
+ * → { ok: true, candidates: [{ vehicle, depot, positioningMiles, approximate }], excluded: [{ vehicleId, reason }] }
+ *   | { ok: false, error }
+ * Vehicles at a depot that couldn't be routed are ranked last (positioningMiles null).
+ */
+async function rankVehicles(job) {
+  const dist = await depotDistances(job.pickup);
+  if (!dist.ok) return { ok: false, error: dist.error };
+
+  const byDepot = new Map(dist.distances.map((d) => [d.depot.id, d]));
+  const candidates = [];
+  const excluded = [];
+
+  for (const vehicle of listVehicles()) {
+    const reason = unsuitableReason(vehicle, job);
+    if (reason) {
+      excluded.push({ vehicleId: vehicle.id, reason });
+      continue;
+    }
+    const d = byDepot.get(vehicle.depot);
+    candidates.push({
+      vehicle,
+      depot: getDepot(vehicle.depot),
+      positioningMiles: d ? d.miles : null,
+      approximate: d ? d.approximate : true
+    });
+  }
+
+  candidates.sort((a, b) => (a.positioningMiles ?? Infinity) - (b.positioningMiles ?? Infinity));
+  return { ok: true, candidates, excluded };
+}
+
+// The compact form stored on bookings and sent to Make
+function toAssignment(candidate) {
+  const { vehicle, depot } = candidate;
+  return {
+    vehicle: { id: vehicle.id, name: vehicle.name, class: vehicle.class || '' },
+    depot: { id: depot.id, name: depot.name || depot.id, postcode: depot.postcode },
+    positioningMiles: candidate.positioningMiles
+  };
+}
+
+module.exports = {
+  loadFleet,
+  listDepots,
+  getDepot,
+  listVehicles,
+  depotDistances,
+  rankVehicles,
+  toAssignment
+};
@@ -0,0 +1,40 @@
+/**
+ * lib/holds.js
+ * Letting go of a slot hold (lib/scheduler.js) that may already be tied to
+ * a Stripe Checkout Session.
+ *
+ * An open session is expired first so the customer can't pay for a slot
+ * that has been given back; Stripe then sends checkout.session.expired and
+ * the webhook cancels the pending booking. A session that has completed is
+ * left alone: its hold is about to become (or already is) a booking.
+ */
+
+const { getStripe } = require('./stripe');
+const { getHold, releaseHold } = require('./scheduler');
+
+/**
+ * → { ok: true, released } | { ok: false, status, error }
+ */
+async function cancelHold(holdId, { reason = 'cancelled' } = {}) {
+  const hold = await getHold(holdId);
+  if (!hold) return { ok: false, status: 404, error: 'Hold not found' };
+  if (hold.status !== 'held') return { ok: true, released: false };
+
+  if (hold.sessionId) {
+    const stripe = getStripe();
+    const session = await stripe.checkout.sessions.retrieve(hold.sessionId);
+    if (session.status === 'complete') {
+      return { ok: false, status: 409, error: 'This booking has already been paid' };
+    }
+    if (session.status === 'open') {
+      await stripe.checkout.sessions.expire(hold.sessionId);
+    }
+  }
+
+  const result = await releaseHold(holdId, { bookingRef: hold.bookingRef, reason });
+  return { ok: true, released: !!result.changed };
+}
+
+module.exports = {
+  cancelHold
+};
@@ -0,0 +1,39 @@
+/**
+ * lib/legacy-routes.js
+ * Handlers for retired endpoints, so stale clients get a clear answer
+ * instead of an old price.
+ *
+ * redirectTo(path) → 307 to the successor route (method and body preserved)
+ * gone(successor)  → 410 with a deprecation body; used for routes whose
+ *                    request shape or pricing doesn't match v1
+ */
+
+function deprecationHeaders(res, successor) {
+  res.setHeader('Deprecation', 'true');
+  res.setHeader('Link', `<${successor}>; rel="successor-version"`);
+}
+
+function redirectTo(successor) {
+  return function handler(req, res) {
+    const qs = (req.url || '').includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    deprecationHeaders(res, successor);
+    res.setHeader('Location', successor + qs);
+    return res.status(307).json({ error: 'Moved', successor });
+  };
+}
+
+function gone(successor) {
+  return function handler(req, res) {
+    deprecationHeaders(res, successor);
+    return res.status(410).json({
+      error: 'This endpoint has been retired. Please refresh the booking page and try again.',
+      deprecated: true,
+      successor
+    });
+  };
+}
+
+module.exports = {
+  redirectTo,
+  gone
+};
@@ -0,0 +1,135 @@
+/**
+ * lib/locations.js
+ * Where the driver is on a job that's on the road, and when they'll get
+ * to the next address.
+ *
+ * Collection "locations", keyed by bookingRef (latest ping only):
+ *   { bookingRef, driverId, lat, lng, accuracy, at, eta }
+ *   eta: { target: 'pickup' | 'dropoff', minutes, arriveAt, miles, approximate, computedAt } | null
+ *
+ * While a job is en_route the ETA is to the pickup; once collected, to the
+ * drop-off (direct: individual stops aren't tracked). It's routed through
+ * lib/routing from the ping at AVG_MPH, like the schedule, and recomputed
+ * when the target changes or ETA_REFRESH_SECONDS (default 120) have passed.
+ *
+ * A position is deleted as soon as the job leaves the road (delivered,
+ * failed attempt, cancelled, refunded; see lib/bookings.js) and isn't
+ * shown once it's older than LOCATION_STALE_MINUTES (default 15).
+ */
+
+const { getCollection } = require('./store');
+const { getRouteVia } = require('./routing');
+const { extractPostcode } = require('./postcodes');
+const { AVG_MPH } = require('./schedule');
+
+// Statuses in which the driver is travelling for the job
+const LIVE_STATUSES = ['en_route', 'collected'];
+
+function locations() {
+  return getCollection('locations');
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * { lat, lng, accuracy? } from a device → { lat, lng, accuracy } or null
+ */
+function parseGps(gps) {
+  const g = gps || {};
+  const lat = Number(g.lat);
+  const lng = Number(g.lng);
+  if (g.lat === undefined || g.lng === undefined || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+    return null;
+  }
+  const accuracy = Number(g.accuracy);
+  return { lat, lng, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? Math.round(accuracy) : null };
+}
+
+// booking.pickup / dropoff are one-line addresses (lib/address.js); routing takes the postcode
+function targetPostcode(booking, target) {
+  const structured = target === 'pickup' ? booking.pickupAddress : booking.dropoffAddress;
+  return (structured && structured.postcode) || extractPostcode(target === 'pickup' ? booking.pickup : booking.dropoff);
+}
+
+async function computeEta(booking, position, target) {
+  const dest = targetPostcode(booking, target);
+  if (!dest) {
+    console.warn(`No ETA for ${booking.bookingRef}: no ${target} postcode`);
+    return null;
+  }
+  const route = await getRouteVia([{ lat: position.lat, lon: position.lng }, dest]);
+  if (!route.ok) {
+    console.warn(`No ETA for ${booking.bookingRef}: ${route.error}`);
+    return null;
+  }
+
+  const minutes = Math.ceil((route.miles / AVG_MPH) * 60);
+  const now = Date.now();
+  return {
+    target,
+    minutes,
+    arriveAt: new Date(now + minutes * 60 * 1000).toISOString(),
+    miles: Math.round(route.miles * 10) / 10,
+    approximate: !!route.approximate,
+    computedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Stores a driver's ping for a job on the road and refreshes its ETA.
+ * → { ok: true, location } | { ok: false, status, error }
+ */
+async function recordPing(booking, driver, gps) {
+  if (!LIVE_STATUSES.includes(booking.status)) {
+    return { ok: false, status: 409, error: `Job is ${booking.status}, not on the road` };
+  }
+  const position = parseGps(gps);
+  if (!position) return { ok: false, status: 400, error: 'Missing or invalid lat/lng' };
+
+  const target = booking.status === 'en_route' ? 'pickup' : 'dropoff';
+  const prev = await locations().get(booking.bookingRef);
+  const prevEta = prev && prev.eta && prev.eta.target === target ? prev.eta : null;
+  const fresh = prevEta && Date.now() - Date.parse(prevEta.computedAt) < envNumber('ETA_REFRESH_SECONDS', 120) * 1000;
+
+  const location = {
+    bookingRef: booking.bookingRef,
+    driverId: driver.driverId,
+    ...position,
+    at: new Date().toISOString(),
+    // Keep the last ETA for this target if routing fails
+    eta: fresh ? prevEta : (await computeEta(booking, position, target)) || prevEta
+  };
+  await locations().put(booking.bookingRef, location);
+  return { ok: true, location };
+}
+
+/**
+ * The latest position for the tracking page, or null when the job isn't
+ * on the road or the last ping is stale.
+ */
+async function getLiveLocation(booking) {
+  if (!booking || !LIVE_STATUSES.includes(booking.status)) return null;
+  const loc = await locations().get(booking.bookingRef);
+  if (!loc || Date.now() - Date.parse(loc.at) > envNumber('LOCATION_STALE_MINUTES', 15) * 60 * 1000) return null;
+  return loc;
+}
+
+// The job has left the road; a failure is logged, not thrown
+async function clearLocation(bookingRef) {
+  try {
+    await locations().remove(String(bookingRef || ''));
+  } catch (e) {
+    console.error(`Location not cleared for ${bookingRef}:`, e);
+  }
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  parseGps,
+  recordPing,
+  getLiveLocation,
+  clearLocation
+};
@@ -0,0 +1,150 @@
+/**
+ * lib/mileage.js
+ * Server-side check of the one-way miles a customer submits.
+ *
+ * Postcodes are taken from the pickup/dropoff text (and any intermediate
+ * stops, in order — miles cover the whole route) and routed through
+ * lib/routing (the same provider chain and cache as /api/calc-miles), so a
+ * figure from the miles button matches exactly.
+ *
+ * Tolerance: MILEAGE_TOLERANCE_MILES (default 2) or MILEAGE_TOLERANCE_PCT
+ * (default 5) of the server figure, whichever is larger.
+ *
+ * MILEAGE_MISMATCH_MODE:
+ * - "reject" (default) refuse a booking whose miles are outside tolerance
+ * - "flag"   accept it, price on the server figure and flag it for dispatch
+ *
+ * The server figure is what gets priced whenever it comes from real routing.
+ * If only an approximate (offline) distance is available, the larger of
+ * it and the customer's figure is priced; one outside tolerance is refused
+ * in "reject" mode. "reject" also refuses (503) when an end only resolves
+ * to its postcode area (precision 'area': too coarse to check anything —
+ * two postcodes in one area come out at ~0 miles), and when routing is
+ * down entirely; "flag" then prices the customer's figure unverified.
+ *
+ * mileage.status: verified | flagged | unverified
+ */
+
+const { extractPostcode } = require('./postcodes');
+const { getRouteVia } = require('./routing');
+const { stopPostcodes } = require('./stops');
+
+function tolerance(serverMiles) {
+  const abs = Number(process.env.MILEAGE_TOLERANCE_MILES);
+  const pct = Number(process.env.MILEAGE_TOLERANCE_PCT);
+  return Math.max(
+    Number.isFinite(abs) && abs >= 0 ? abs : 2,
+    serverMiles * ((Number.isFinite(pct) && pct >= 0 ? pct : 5) / 100)
+  );
+}
+
+function mismatchMode() {
+  return process.env.MILEAGE_MISMATCH_MODE === 'flag' ? 'flag' : 'reject';
+}
+
+// Same rounding as /api/calc-miles: 1 decimal, minimum 1
+function roundMiles(m) {
+  return Math.max(1, Math.round(m * 10) / 10);
+}
+
+/**
+ * Returns { ok: true, miles, mileage } — `miles` is the figure to price —
+ * or { ok: false, status, error }.
+ */
+async function verifyMileage({ pickup, dropoff, stops = [], miles }) {
+  const submitted = Number(miles);
+  if (!Number.isFinite(submitted) || submitted <= 0) {
+    return { ok: false, status: 400, error: 'Invalid miles' };
+  }
+
+  const pickupPostcode = extractPostcode(pickup);
+  const dropoffPostcode = extractPostcode(dropoff);
+  if (!pickupPostcode || !dropoffPostcode) {
+    return { ok: false, status: 400, error: 'Please include a full UK postcode in both pickup and drop-off' };
+  }
+  const viaPostcodes = stopPostcodes(stops);
+
+  const mileage = {
+    submitted,
+    server: null,
+    provider: '',
+    approximate: false,
+    pickupPostcode,
+    dropoffPostcode,
+    stopPostcodes: viaPostcodes,
+    difference: null,
+    tolerance: null,
+    status: 'unverified',
+    checkedAt: new Date().toISOString()
+  };
+
+  const route = await getRouteVia([pickupPostcode, ...viaPostcodes, dropoffPostcode]);
+  if (!route.ok) {
+    if (route.invalidPostcode) return { ok: false, status: 400, error: route.error };
+    if (mismatchMode() === 'reject') {
+      return { ok: false, status: 503, error: 'Unable to check the miles right now. Please try again shortly.', mileage };
+    }
+    console.warn('Mileage not verified; routing unavailable.', route.error);
+    return { ok: true, miles: submitted, mileage };
+  }
+
+  if (route.approximate && route.precision === 'area' && mismatchMode() === 'reject') {
+    return { ok: false, status: 503, error: 'Unable to check the miles right now. Please try again shortly.', mileage };
+  }
+
+  const server = roundMiles(route.miles);
+  const difference = Math.round(Math.abs(submitted - server) * 10) / 10;
+  const allowed = Math.round(tolerance(server) * 10) / 10;
+  const within = difference <= allowed;
+
+  Object.assign(mileage, {
+    server,
+    provider: route.provider,
+    approximate: route.approximate,
+    difference,
+    tolerance: allowed,
+    status: within ? 'verified' : 'flagged'
+  });
+
+  if (!within && mismatchMode() === 'reject') {
+    return {
+      ok: false,
+      status: 400,
+      error: `The miles entered (${submitted}) don't match the route (${server} miles). Please recalculate miles and try again.`,
+      mileage
+    };
+  }
+
+  if (route.approximate) {
+    // An estimate can be short either way, so never price below it or the customer's figure
+    mileage.status = within ? 'unverified' : 'flagged';
+    return { ok: true, miles: Math.max(submitted, server), mileage };
+  }
+
+  return { ok: true, miles: server, mileage };
+}
+
+/**
+ * Server route miles for a job with no customer figure (e.g. /api/v1/slots).
+ * → { ok: true, miles, provider, approximate } | { ok: false, status, error }
+ */
+async function routeJobMiles({ pickup, dropoff, stops = [] }) {
+  const pickupPostcode = extractPostcode(pickup);
+  const dropoffPostcode = extractPostcode(dropoff);
+  if (!pickupPostcode || !dropoffPostcode) {
+    return { ok: false, status: 400, error: 'Please include a full UK postcode in both pickup and drop-off' };
+  }
+
+  const route = await getRouteVia([pickupPostcode, ...stopPostcodes(stops), dropoffPostcode]);
+  if (!route.ok) {
+    if (route.invalidPostcode) return { ok: false, status: 400, error: route.error };
+    return { ok: false, status: 503, error: 'Unable to work out the route right now. Please try again shortly.' };
+  }
+
+  return { ok: true, miles: roundMiles(route.miles), provider: route.provider, approximate: route.approximate };
+}
+
+module.exports = {
+  verifyMileage,
+  routeJobMiles
+};
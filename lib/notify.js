@@ -0,0 +1,117 @@
+/**
+ * lib/notify.js
+ * Outbound notifications for paid bookings:
+ * - Telegram dispatch chat (TELEGRAM_BOT_TOKEN / TELEGRAM_DISPATCH_CHAT_ID)
+ * - Make "create job" webhook → Airtable (MAKE_CREATE_JOB_WEBHOOK_URL)
+ * - Make schedule sync, booked / released windows from lib/scheduler.js
+ *   (MAKE_SCHEDULE_SYNC_WEBHOOK_URL, optional)
+ * - Make proof of delivery, POD PDF for the job (MAKE_POD_WEBHOOK_URL)
+ * - Customer email via Resend (RESEND_API_KEY, EMAIL_FROM)
+ *
+ * All return { ok, status?, body?, reason?, error? } rather than throwing;
+ * callers normally go through lib/outbox.js, which retries failures.
+ * reason 'not_configured' means the env vars are missing (nothing to retry).
+ */
+
+async function notifyTelegram(text) {
+  const bot = process.env.TELEGRAM_BOT_TOKEN;
+  const chat = process.env.TELEGRAM_DISPATCH_CHAT_ID;
+  if (!bot || !chat) {
+    console.warn('Telegram env vars missing; skipping notify.');
+    return { ok: false, reason: 'not_configured' };
+  }
+
+  try {
+    const resp = await fetch(`https://api.telegram.org/bot${bot}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: chat,
+        // Plain text: messages carry customer text (contact names, access
+        // notes) that Telegram's HTML parser would reject
+        text: String(text),
+        disable_web_page_preview: true
+      }),
+    });
+    const data = await resp.text();
+    console.log('Telegram sendMessage status:', resp.status, 'body:', data);
+    return { ok: resp.ok, status: resp.status, body: data };
+  } catch (e) {
+    console.error('Telegram sendMessage error:', e);
+    return { ok: false, reason: 'exception', error: e?.message };
+  }
+}
+
+async function postToMake(envName, label, payload) {
+  const url = process.env[envName];
+  if (!url) {
+    console.warn(`${envName} missing; skipping Make ${label}.`);
+    return { ok: false, reason: 'not_configured' };
+  }
+
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const text = await resp.text();
+    console.log(`Make ${label} webhook status:`, resp.status, 'body:', text);
+    return { ok: resp.ok, status: resp.status, body: text };
+  } catch (e) {
+    console.error(`Make ${label} webhook error:`, e);
+    return { ok: false, reason: 'exception', error: e?.message };
+  }
+}
+
+function postToMakeCreateJob(payload) {
+  return postToMake('MAKE_CREATE_JOB_WEBHOOK_URL', 'create-job', payload);
+}
+
+function postToMakeScheduleSync(payload) {
+  return postToMake('MAKE_SCHEDULE_SYNC_WEBHOOK_URL', 'schedule-sync', payload);
+}
+
+function postToMakePod(payload) {
+  return postToMake('MAKE_POD_WEBHOOK_URL', 'pod', payload);
+}
+
+/**
+ * email: { to, subject, text, attachments?: [{ filename, content (base64) }] }
+ */
+async function sendEmail(email) {
+  const key = process.env.RESEND_API_KEY;
+  const from = process.env.EMAIL_FROM;
+  if (!key || !from) {
+    console.warn('RESEND_API_KEY / EMAIL_FROM missing; skipping email.');
+    return { ok: false, reason: 'not_configured' };
+  }
+
+  try {
+    const resp = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify({
+        from,
+        to: [email.to],
+        subject: email.subject,
+        text: email.text,
+        attachments: email.attachments || []
+      }),
+    });
+    const data = await resp.text();
+    console.log('Email send status:', resp.status, 'body:', data);
+    return { ok: resp.ok, status: resp.status, body: data };
+  } catch (e) {
+    console.error('Email send error:', e);
+    return { ok: false, reason: 'exception', error: e?.message };
+  }
+}
+
+module.exports = {
+  notifyTelegram,
+  postToMakeCreateJob,
+  postToMakeScheduleSync,
+  postToMakePod,
+  sendEmail
+};
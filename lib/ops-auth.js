@@ -0,0 +1,65 @@
+/**
+ * lib/ops-auth.js
+ * Bearer-token guards:
+ * - ops/dispatch endpoints (OPS_API_TOKEN)
+ * - scheduled jobs (CRON_SECRET, which Vercel Cron sends as a bearer token;
+ *   the ops token is accepted too so dispatch can trigger a run by hand)
+ */
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function bearerToken(req) {
+  const h = String(req.headers.authorization || '');
+  return h.startsWith('Bearer ') ? h.slice(7).trim() : '';
+}
+
+/**
+ * Returns true if the request carries the ops token; otherwise sends the
+ * 401/500 response itself and returns false.
+ */
+function requireOps(req, res) {
+  const expected = process.env.OPS_API_TOKEN;
+  if (!expected) {
+    console.error('OPS_API_TOKEN missing; ops endpoints disabled.');
+    res.status(500).json({ error: 'Server misconfigured' });
+    return false;
+  }
+
+  if (!safeEqual(bearerToken(req), expected)) {
+    res.status(401).json({ error: 'Unauthorised' });
+    return false;
+  }
+
+  return true;
+}
+
+function requireCron(req, res) {
+  const token = bearerToken(req);
+  const cron = process.env.CRON_SECRET;
+  const ops = process.env.OPS_API_TOKEN;
+  if (!cron && !ops) {
+    console.error('CRON_SECRET/OPS_API_TOKEN missing; cron endpoints disabled.');
+    res.status(500).json({ error: 'Server misconfigured' });
+    return false;
+  }
+
+  if (!token || !((cron && safeEqual(token, cron)) || (ops && safeEqual(token, ops)))) {
+    res.status(401).json({ error: 'Unauthorised' });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  bearerToken,
+  safeEqual,
+  requireOps,
+  requireCron
+};
@@ -0,0 +1,233 @@
+/**
+ * lib/outbox.js
+ * Durable outbox for outbound deliveries (Make create-job, Make schedule
+ * sync, Make proof of delivery, Telegram, customer email).
+ *
+ * Every delivery is recorded in the "outbox" collection before it is sent,
+ * then attempted straight away. Failures are retried with exponential
+ * backoff (drainOutbox, run by the webhook and every 5 minutes by
+ * /api/cron/outbox) until OUTBOX_MAX_ATTEMPTS, after which the item is
+ * marked dead and waits for dispatch to replay it (/api/ops/outbox).
+ *
+ * Item status:
+ *   pending   → waiting for its next attempt (nextAttemptAt)
+ *   sending   → an attempt is in flight (retaken if it goes stale)
+ *   delivered → done
+ *   skipped   → the channel isn't configured; replay once it is
+ *   dead      → gave up after OUTBOX_MAX_ATTEMPTS
+ *
+ * Items are keyed by kind + caller key (e.g. the Stripe event id), so
+ * enqueueing the same delivery twice doesn't send it twice.
+ *
+ * A proof-of-delivery PDF is never stored here: make_pod items, and email
+ * items with podPdf (a bookingRef), get it rendered at send time
+ * (lib/pod-pdf.js).
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const {
+  notifyTelegram,
+  postToMakeCreateJob,
+  postToMakeScheduleSync,
+  postToMakePod,
+  sendEmail
+} = require('./notify');
+const { podPdfAttachment } = require('./pod-pdf');
+
+const STATUSES = ['pending', 'sending', 'delivered', 'skipped', 'dead'];
+
+const BACKOFF_BASE_MS = 30 * 1000;       // 30s, 1m, 2m, 4m …
+const BACKOFF_MAX_MS = 60 * 60 * 1000;   // capped at 1h
+const SENDING_STALE_MS = 2 * 60 * 1000;
+
+// kind → (payload) => { ok, reason?, status?, error? }
+const senders = {
+  make_create_job: (payload) => postToMakeCreateJob(payload),
+  schedule_sync: (payload) => postToMakeScheduleSync(payload),
+  make_pod: async (payload) =>
+    postToMakePod({ ...payload, pdf: { ...(await podPdfAttachment(payload.bookingRef)), contentType: 'application/pdf' } }),
+  telegram: (payload) => notifyTelegram(payload.text),
+  email: async ({ podPdf, ...email }) =>
+    sendEmail(podPdf ? { ...email, attachments: [...(email.attachments || []), await podPdfAttachment(podPdf)] } : email)
+};
+
+function maxAttempts() {
+  const n = Number(process.env.OUTBOX_MAX_ATTEMPTS);
+  return Number.isInteger(n) && n > 0 ? n : 8;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function outbox() {
+  return getCollection('outbox');
+}
+
+function isDue(item, nowMs) {
+  if (item.status === 'pending') return Date.parse(item.nextAttemptAt) <= nowMs;
+  if (item.status === 'sending') return nowMs - Date.parse(item.sendingAt) > SENDING_STALE_MS;
+  return false;
+}
+
+function describeFailure(result) {
+  if (!result) return 'no result';
+  if (result.error) return String(result.error);
+  if (result.status) return `HTTP ${result.status}${result.body ? `: ${String(result.body).slice(0, 200)}` : ''}`;
+  return result.reason || 'failed';
+}
+
+/**
+ * Records a delivery. Returns the stored item (the existing one if this
+ * kind + key was already enqueued).
+ */
+async function enqueue(kind, payload, { key = '', bookingRef = '' } = {}) {
+  if (!senders[kind]) throw new Error(`Unknown outbox kind: ${kind}`);
+
+  const id = `${kind}:${key || crypto.randomUUID()}`;
+  const at = new Date().toISOString();
+  const item = {
+    id,
+    kind,
+    bookingRef: bookingRef || '',
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: at,
+    lastError: '',
+    createdAt: at,
+    updatedAt: at,
+    deliveredAt: null
+  };
+
+  if (await outbox().insert(id, item)) return item;
+  return outbox().get(id);
+}
+
+/**
+ * Makes one attempt at an item if it's due. Returns the updated item, or
+ * the unchanged item if it wasn't due (or null if it doesn't exist).
+ */
+async function deliver(id, { now = new Date() } = {}) {
+  let claimed = null;
+
+  await outbox().update(id, (item) => {
+    if (!item || !isDue(item, now.getTime())) return undefined;
+    claimed = { ...item, status: 'sending', sendingAt: now.toISOString(), attempts: (item.attempts || 0) + 1 };
+    return claimed;
+  });
+
+  if (!claimed) return outbox().get(id);
+
+  let result;
+  try {
+    result = await senders[claimed.kind](claimed.payload);
+  } catch (e) {
+    result = { ok: false, reason: 'exception', error: e?.message };
+  }
+
+  const at = new Date();
+  let patch;
+  if (result && result.ok) {
+    patch = { status: 'delivered', deliveredAt: at.toISOString(), lastError: '' };
+  } else if (result && result.reason === 'not_configured') {
+    patch = { status: 'skipped', lastError: 'not_configured' };
+  } else if (claimed.attempts >= maxAttempts()) {
+    patch = { status: 'dead', lastError: describeFailure(result) };
+    console.error(`Outbox ${id} dead after ${claimed.attempts} attempts:`, patch.lastError);
+  } else {
+    patch = {
+      status: 'pending',
+      nextAttemptAt: new Date(at.getTime() + backoffMs(claimed.attempts)).toISOString(),
+      lastError: describeFailure(result)
+    };
+    console.warn(`Outbox ${id} attempt ${claimed.attempts} failed; retrying at ${patch.nextAttemptAt}:`, patch.lastError);
+  }
+
+  return outbox().update(id, (item) =>
+    item ? { ...item, ...patch, sendingAt: null, updatedAt: at.toISOString() } : undefined
+  );
+}
+
+// Enqueue and attempt straight away
+async function send(kind, payload, opts) {
+  const item = await enqueue(kind, payload, opts);
+  return deliver(item.id);
+}
+
+/**
+ * Attempts every item that is due, oldest first.
+ * Returns { attempted, delivered, failed }.
+ */
+async function drainOutbox({ limit = 25, now = new Date() } = {}) {
+  const due = (await outbox().list((i) => isDue(i, now.getTime())))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .slice(0, limit);
+
+  const summary = { attempted: 0, delivered: 0, failed: 0 };
+  for (const item of due) {
+    const after = await deliver(item.id, { now });
+    summary.attempted++;
+    if (after && after.status === 'delivered') summary.delivered++;
+    else summary.failed++;
+  }
+  return summary;
+}
+
+/**
+ * Puts a dead/skipped/pending item back in the queue with a fresh set of
+ * attempts and tries it now. Delivered items are only resent with force.
+ * Returns { ok, item } or { ok: false, error }.
+ */
+async function replayOutboxItem(id, { force = false } = {}) {
+  let error = '';
+
+  await outbox().update(id, (item) => {
+    if (!item) {
+      error = 'Outbox item not found';
+      return undefined;
+    }
+    if (item.status === 'delivered' && !force) {
+      error = 'Already delivered (pass force to resend)';
+      return undefined;
+    }
+    if (item.status === 'sending' && !isDue(item, Date.now())) {
+      error = 'Delivery in progress';
+      return undefined;
+    }
+    return {
+      ...item,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      replays: (item.replays || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  if (error) return { ok: false, error };
+  return { ok: true, item: await deliver(id) };
+}
+
+async function getOutboxItem(id) {
+  return outbox().get(String(id || ''));
+}
+
+async function listOutbox({ status, bookingRef } = {}) {
+  const all = await outbox().list(
+    (i) => (!status || i.status === status) && (!bookingRef || i.bookingRef === bookingRef)
+  );
+  return all.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = {
+  STATUSES,
+  enqueue,
+  deliver,
+  send,
+  drainOutbox,
+  replayOutboxItem,
+  getOutboxItem,
+  listOutbox
+};
@@ -0,0 +1,280 @@
+/**
+ * lib/pdf.js
+ * Just enough PDF to print a document of text lines and pictures (proof
+ * of delivery), without a PDF library.
+ *
+ * renderPdf(pages) → Buffer
+ *   pages: [[ op, … ], …] on A4 (595 × 842 pt, origin bottom-left), ops:
+ *     { text, x, y, size?, bold? }            Helvetica, WinAnsi (other characters print as ?)
+ *     { image, x, y, width, height }         image from loadImage(); drawn to fit the box, centred
+ *     { line: [x1, y1, x2, y2] }
+ *
+ * loadImage(buffer) → { ok, image } | { ok: false, error }
+ *   JPEG (embedded as is) or 8-bit non-interlaced PNG (grey / RGB, with or
+ *   without alpha; alpha becomes a soft mask). PNGs are decoded, so they're
+ *   limited to MAX_PNG_PIXELS and never inflated past their declared size.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MAX_PNG_PIXELS = 12 * 1000 * 1000; // 4000 × 3000
+
+// ---------- images ----------
+
+function loadJpeg(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return { ok: false, error: 'Unreadable JPEG' };
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0–SOF15, except DHT / JPG / DAC
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const height = buf.readUInt16BE(i + 5);
+      const width = buf.readUInt16BE(i + 7);
+      const components = buf[i + 9];
+      const colorSpace = components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+      return {
+        ok: true,
+        image: { width, height, colorSpace, filter: '/DCTDecode', data: buf, mask: null }
+      };
+    }
+    i += 2 + len;
+  }
+  return { ok: false, error: 'Unreadable JPEG' };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Reverses PNG row filters; → raw pixel bytes
+function unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const type = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[src + x];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[row - stride + x] : 0;
+      const c = x >= bpp && y > 0 ? out[row - stride + x - bpp] : 0;
+      let v;
+      if (type === 0) v = raw;
+      else if (type === 1) v = raw + a;
+      else if (type === 2) v = raw + b;
+      else if (type === 3) v = raw + ((a + b) >> 1);
+      else if (type === 4) v = raw + paeth(a, b, c);
+      else throw new Error(`Bad PNG filter ${type}`);
+      out[row + x] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+function loadPng(buf) {
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = -1;
+  let interlace = 0;
+  const idat = [];
+
+  for (let i = 8; i + 8 <= buf.length;) {
+    const len = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    const body = buf.subarray(i + 8, i + 8 + len);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    i += 12 + len;
+  }
+
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!width || !height || !idat.length) return { ok: false, error: 'Unreadable PNG' };
+  if (bitDepth !== 8 || !channels || interlace) {
+    return { ok: false, error: 'PNG must be 8-bit, non-interlaced grey or RGB' };
+  }
+  if (width * height > MAX_PNG_PIXELS) {
+    return { ok: false, error: `PNG is too large (max ${MAX_PNG_PIXELS / 1e6} megapixels)` };
+  }
+
+  let pixels;
+  try {
+    // One filter byte per row; anything longer is refused rather than inflated
+    const maxOutputLength = (width * channels + 1) * height;
+    pixels = unfilter(zlib.inflateSync(Buffer.concat(idat), { maxOutputLength }), width, height, channels);
+  } catch (e) {
+    return { ok: false, error: 'Unreadable PNG' };
+  }
+
+  const hasAlpha = colorType === 4 || colorType === 6;
+  const colour = hasAlpha ? channels - 1 : channels;
+  let colourBytes = pixels;
+  let mask = null;
+
+  if (hasAlpha) {
+    colourBytes = Buffer.alloc(width * height * colour);
+    const alpha = Buffer.alloc(width * height);
+    for (let p = 0; p < width * height; p++) {
+      pixels.copy(colourBytes, p * colour, p * channels, p * channels + colour);
+      alpha[p] = pixels[p * channels + colour];
+    }
+    mask = { width, height, colorSpace: '/DeviceGray', filter: '/FlateDecode', data: zlib.deflateSync(alpha), mask: null };
+  }
+
+  return {
+    ok: true,
+    image: {
+      width,
+      height,
+      colorSpace: colour === 1 ? '/DeviceGray' : '/DeviceRGB',
+      filter: '/FlateDecode',
+      data: zlib.deflateSync(colourBytes),
+      mask
+    }
+  };
+}
+
+function loadImage(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 16) return { ok: false, error: 'Empty image' };
+  if (buf[0] === 0xff && buf[1] === 0xd8) return loadJpeg(buf);
+  if (buf.toString('latin1', 1, 4) === 'PNG') return loadPng(buf);
+  return { ok: false, error: 'Images must be JPEG or PNG' };
+}
+
+// ---------- document ----------
+
+// PDF string literal in WinAnsi (Latin-1 covers £, é, …)
+function pdfString(text) {
+  const s = String(text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+  return `(${s})`;
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * pages: see the header. → Buffer holding the PDF file.
+ */
+function renderPdf(pages) {
+  const objects = [];          // index + 1 = object number
+  const add = (obj) => objects.push(obj);
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const imageIds = new Map();
+  function imageObject(img) {
+    if (imageIds.has(img)) return imageIds.get(img);
+    const smask = img.mask ? ` /SMask ${imageObject(img.mask)} 0 R` : '';
+    const id = add({
+      dict: `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+        `/ColorSpace ${img.colorSpace} /BitsPerComponent 8 /Filter ${img.filter}${smask} /Length ${img.data.length} >>`,
+      stream: img.data
+    });
+    imageIds.set(img, id);
+    return id;
+  }
+
+  const pageIds = [];
+  for (const ops of pages) {
+    const xobjects = [];
+    const content = [];
+
+    for (const op of ops) {
+      if (op.text !== undefined) {
+        const size = op.size || 11;
+        content.push(`BT /${op.bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(op.x)} ${num(op.y)} Td ${pdfString(op.text)} Tj ET`);
+      } else if (op.image) {
+        const img = op.image;
+        const scale = Math.min(op.width / img.width, op.height / img.height);
+        const w = img.width * scale;
+        const h = img.height * scale;
+        const name = `Im${xobjects.length + 1}`;
+        xobjects.push(`/${name} ${imageObject(img)} 0 R`);
+        content.push(`q ${num(w)} 0 0 ${num(h)} ${num(op.x + (op.width - w) / 2)} ${num(op.y + (op.height - h) / 2)} cm /${name} Do Q`);
+      } else if (op.line) {
+        const [x1, y1, x2, y2] = op.line;
+        content.push(`0.5 w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+      }
+    }
+
+    const stream = Buffer.from(content.join('\n'), 'latin1');
+    const contentId = add({ dict: `<< /Length ${stream.length} >>`, stream });
+    pageIds.push(add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> /XObject << ${xobjects.join(' ')} >> >> ` +
+      `/Contents ${contentId} 0 R >>`
+    ));
+  }
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+
+  objects.forEach((obj, i) => {
+    offsets.push(offset);
+    const parts = typeof obj === 'string'
+      ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, 'latin1')]
+      : [
+        Buffer.from(`${i + 1} 0 obj\n${obj.dict}\nstream\n`, 'latin1'),
+        obj.stream,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ];
+    for (const p of parts) {
+      chunks.push(p);
+      offset += p.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  loadImage,
+  renderPdf
+};
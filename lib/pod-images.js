@@ -0,0 +1,43 @@
+/**
+ * lib/pod-images.js
+ * Proof-of-delivery images (signature + photos), one blob per booking.
+ *
+ * The store reads and rewrites a whole collection at a time, so the images
+ * get a collection of their own per booking ("pod_images_<bookingRef>": one
+ * file, or one KV key, each). The "pod" collection keeps only metadata and
+ * the blob key (lib/pod.js), and recording a POD never touches another
+ * booking's images.
+ *
+ * Blob: { signature, photos: [...] }, each { contentType, data (base64) }
+ */
+
+const { getCollection } = require('./store');
+
+const BLOB_ID = 'images';
+
+function podImagesKey(bookingRef) {
+  return `pod_images_${String(bookingRef || '').replace(/[^A-Za-z0-9-]/g, '')}`;
+}
+
+async function putPodImages(key, images) {
+  return getCollection(key).put(BLOB_ID, { signature: images.signature, photos: images.photos });
+}
+
+async function removePodImages(key) {
+  return getCollection(key).remove(BLOB_ID);
+}
+
+/**
+ * The images for a POD record, or null if its blob is missing.
+ */
+async function getPodImages(pod) {
+  if (!pod || !pod.imagesKey) return null;
+  return getCollection(pod.imagesKey).get(BLOB_ID);
+}
+
+module.exports = {
+  podImagesKey,
+  putPodImages,
+  removePodImages,
+  getPodImages
+};
@@ -0,0 +1,87 @@
+/**
+ * lib/pod-pdf.js
+ * The proof-of-delivery PDF, rendered from the stored POD (lib/pod.js)
+ * whenever it's needed: the ops download, and each email / Make delivery
+ * at send time (lib/outbox.js). The PDF itself is never stored; the
+ * images are read from the booking's blob (lib/pod-images.js).
+ */
+
+const { getCollection } = require('./store');
+const { londonParts } = require('./time');
+const { loadImage, renderPdf, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf');
+const { getPodImages } = require('./pod-images');
+
+function londonTime(iso) {
+  const p = londonParts(iso);
+  return p ? `${p.date} ${p.time}` : 'N/A';
+}
+
+function podFilename(bookingRef) {
+  return `POD-${bookingRef}.pdf`;
+}
+
+/**
+ * The POD as a PDF: details and signature on page 1, one photo per page after.
+ * images: { signature, photos } from getPodImages().
+ */
+function renderPodPdf(pod, images) {
+  const img = (stored) => loadImage(Buffer.from(stored.data, 'base64')).image;
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+
+  const rows = [
+    ['Booking ref', pod.bookingRef],
+    ['Delivered', `${londonTime(pod.capturedAt)} (UK time)`],
+    ['Received by', pod.recipientName],
+    ['Driver', pod.driver ? pod.driver.name : 'N/A'],
+    ['Collected from', pod.collectedFrom || 'N/A'],
+    ['Delivered to', pod.deliveredTo || 'N/A'],
+    ['GPS', `${pod.gps.lat.toFixed(6)}, ${pod.gps.lng.toFixed(6)}${pod.gps.accuracy !== null ? ` (±${pod.gps.accuracy} m)` : ''}`]
+  ];
+
+  let y = PAGE_HEIGHT - 70;
+  const first = [
+    { text: 'Gilead Couriers', x: left, y, size: 20, bold: true },
+    { text: 'Proof of Delivery', x: left, y: y - 24, size: 14 },
+    { line: [left, y - 36, right, y - 36] }
+  ];
+  y -= 64;
+  for (const [label, value] of rows) {
+    first.push({ text: label, x: left, y, bold: true }, { text: value, x: left + 110, y });
+    y -= 20;
+  }
+
+  y -= 20;
+  first.push({ text: 'Signature', x: left, y, bold: true });
+  first.push({ image: img(images.signature), x: left, y: y - 130, width: 260, height: 120 });
+  first.push({ line: [left, y - 136, left + 260, y - 136] });
+  first.push({ text: pod.recipientName, x: left, y: y - 150, size: 10 });
+
+  const pages = [first];
+  images.photos.forEach((photo, i) => {
+    pages.push([
+      { text: `Photo ${i + 1} of ${images.photos.length} - ${pod.bookingRef}`, x: left, y: PAGE_HEIGHT - 60, bold: true },
+      { image: img(photo), x: left, y: 60, width: right - left, height: PAGE_HEIGHT - 140 }
+    ]);
+  });
+
+  return renderPdf(pages);
+}
+
+/**
+ * The booking's POD PDF as an attachment: { filename, content (base64) }.
+ * Throws if there's no POD, so an outbox delivery fails and is retried.
+ */
+async function podPdfAttachment(bookingRef) {
+  const pod = await getCollection('pod').get(String(bookingRef || ''));
+  const images = await getPodImages(pod);
+  if (!images) throw new Error(`No proof of delivery for ${bookingRef}`);
+  return { filename: podFilename(pod.bookingRef), content: renderPodPdf(pod, images).toString('base64') };
+}
+
+module.exports = {
+  londonTime,
+  podFilename,
+  renderPodPdf,
+  podPdfAttachment
+};
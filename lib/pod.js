@@ -0,0 +1,197 @@
+/**
+ * lib/pod.js
+ * Proof of delivery: who took the goods, their signature, photos of the
+ * handover and where the driver was standing, kept per booking.
+ *
+ * Collection "pod", keyed by bookingRef (one per booking), metadata only:
+ *   { bookingRef, recipientName, photoCount, imagesKey, gps: { lat, lng, accuracy },
+ *     capturedAt, receivedAt, driver: { id, name }, collectedFrom, deliveredTo }
+ *   imagesKey: the booking's image blob (lib/pod-images.js), the only copy
+ *   of the signature and photos
+ *   collectedFrom / deliveredTo: the booking's addresses when it was delivered
+ *
+ * Recording a POD marks a collected booking delivered (booking.pod holds a summary), logs the handover to the
+ * custody chain (lib/custody.js) and queues the POD PDF to the booking
+ * email and to Make, which attaches it to the job (lib/outbox.js). The
+ * outbox items carry just the bookingRef; the PDF is rendered as each one
+ * is sent (lib/pod-pdf.js).
+ */
+
+const { getCollection } = require('./store');
+const { getBooking, updateBooking, transitionBooking } = require('./bookings');
+const { formatAddress } = require('./address');
+const { loadImage } = require('./pdf');
+const { londonTime } = require('./pod-pdf');
+const { podImagesKey, putPodImages, removePodImages } = require('./pod-images');
+const { appendCustody } = require('./custody');
+const { parseGps } = require('./locations');
+const { trackingUrl } = require('./tracking');
+const outbox = require('./outbox');
+
+// Signature + photos, base64'd, must fit Vercel's 4.5 MB request body
+const MAX_PHOTOS = 3;
+const MAX_IMAGE_BYTES = 800 * 1024;
+const DATA_URL_RE = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=\s]+)$/;
+
+function pods() {
+  return getCollection('pod');
+}
+
+function parseImage(value, label) {
+  const m = DATA_URL_RE.exec(String(value || ''));
+  if (!m) return { ok: false, error: `${label} must be a PNG or JPEG data URL` };
+
+  const buf = Buffer.from(m[2], 'base64');
+  if (buf.length > MAX_IMAGE_BYTES) {
+    return { ok: false, error: `${label} is too large (max ${MAX_IMAGE_BYTES / 1024} KB)` };
+  }
+  const loaded = loadImage(buf);
+  if (!loaded.ok) return { ok: false, error: `${label}: ${loaded.error}` };
+
+  return { ok: true, image: { contentType: m[1], data: buf.toString('base64') } };
+}
+
+/**
+ * Checks a POD submission: { recipientName, signature, photos: [...], gps, capturedAt? }
+ * → { ok: true, fields } | { ok: false, error }
+ */
+function normalisePod(body) {
+  const b = body || {};
+  const recipientName = String(b.recipientName || '').trim().slice(0, 80);
+  if (!recipientName) return { ok: false, error: 'Please enter the recipient’s name' };
+
+  const signature = parseImage(b.signature, 'Signature');
+  if (!signature.ok) return signature;
+
+  const rawPhotos = Array.isArray(b.photos) ? b.photos : [];
+  if (!rawPhotos.length) return { ok: false, error: 'Please add at least one photo' };
+  if (rawPhotos.length > MAX_PHOTOS) return { ok: false, error: `At most ${MAX_PHOTOS} photos` };
+
+  const photos = [];
+  for (const [i, raw] of rawPhotos.entries()) {
+    const photo = parseImage(raw, `Photo ${i + 1}`);
+    if (!photo.ok) return photo;
+    photos.push(photo.image);
+  }
+
+  const gps = parseGps(b.gps);
+  if (!gps) return { ok: false, error: 'Missing or invalid GPS fix' };
+
+  // The device's own clock, if sensible; otherwise when we received it
+  const captured = Date.parse(b.capturedAt);
+  const now = Date.now();
+  const capturedAt = Number.isFinite(captured) && captured <= now + 5 * 60 * 1000 && captured > now - 24 * 60 * 60 * 1000
+    ? new Date(captured).toISOString()
+    : new Date(now).toISOString();
+
+  return { ok: true, fields: { recipientName, signature: signature.image, photos, gps, capturedAt } };
+}
+
+// For API responses: the metadata without the blob key
+function podSummary(pod) {
+  if (!pod) return null;
+  const { imagesKey, ...rest } = pod;
+  return rest;
+}
+
+async function getPod(bookingRef) {
+  return pods().get(String(bookingRef || ''));
+}
+
+/**
+ * Records the POD for a booking the driver has collected.
+ * → { ok: true, pod (summary), booking } | { ok: false, status, error }
+ */
+async function recordPod(bookingRef, body, { driver = null } = {}) {
+  const checked = normalisePod(body);
+  if (!checked.ok) return { ok: false, status: 400, error: checked.error };
+
+  const booking = await getBooking(bookingRef);
+  if (!booking) return { ok: false, status: 404, error: 'Booking not found' };
+  if (booking.status !== 'collected' && booking.status !== 'delivered') {
+    return { ok: false, status: 409, error: `Cannot record delivery for a ${booking.status} booking` };
+  }
+
+  const { signature, photos, ...fields } = checked.fields;
+  const pod = {
+    bookingRef: booking.bookingRef,
+    ...fields,
+    photoCount: photos.length,
+    imagesKey: podImagesKey(booking.bookingRef),
+    receivedAt: new Date().toISOString(),
+    driver: driver ? { id: driver.driverId, name: driver.name } : null,
+    collectedFrom: booking.pickupAddress ? formatAddress(booking.pickupAddress) : booking.pickup || '',
+    deliveredTo: booking.dropoffAddress ? formatAddress(booking.dropoffAddress) : booking.dropoff || ''
+  };
+  // Claim the booking's POD before writing its images, so a duplicate can't overwrite them
+  if (!(await pods().insert(pod.bookingRef, pod))) {
+    return { ok: false, status: 409, error: 'Proof of delivery already recorded' };
+  }
+  try {
+    await putPodImages(pod.imagesKey, { signature, photos });
+  } catch (e) {
+    await pods().remove(pod.bookingRef);
+    throw e;
+  }
+
+  const summary = podSummary(pod);
+  const patch = { pod: { recipientName: pod.recipientName, capturedAt: pod.capturedAt, photoCount: pod.photoCount } };
+  let updated;
+  if (booking.status === 'collected') {
+    const moved = await transitionBooking(pod.bookingRef, 'delivered', {
+      actor: driver ? `driver:${driver.driverId}` : 'ops',
+      note: `POD: ${pod.recipientName}`,
+      patch
+    });
+    if (!moved.ok) {
+      await removePodImages(pod.imagesKey);
+      await pods().remove(pod.bookingRef);
+      return { ok: false, status: 409, error: moved.error };
+    }
+    updated = moved.booking;
+  } else {
+    updated = await updateBooking(pod.bookingRef, patch);
+  }
+
+  await appendCustody(pod.bookingRef, 'handover', {
+    from: pod.driver ? pod.driver.name : 'Gilead Couriers',
+    to: pod.recipientName,
+    location: `${pod.gps.lat},${pod.gps.lng}`,
+    note: 'Proof of delivery'
+  }, { actor: driver ? `driver:${driver.driverId}` : 'ops' });
+
+  if (updated.email) {
+    await outbox.send('email', {
+      to: updated.email,
+      subject: `Delivered: ${pod.bookingRef}`,
+      text:
+`Your Gilead Couriers job ${pod.bookingRef} was delivered at ${londonTime(pod.capturedAt)} (UK time) and signed for by ${pod.recipientName}.
+
+The proof of delivery is attached. You can also see the job's history at
+${trackingUrl(pod.bookingRef)}
+
+Gilead Couriers`,
+      podPdf: pod.bookingRef
+    }, { key: `${pod.bookingRef}:pod`, bookingRef: pod.bookingRef });
+  }
+
+  await outbox.send('make_pod', {
+    bookingRef: pod.bookingRef,
+    recipientName: pod.recipientName,
+    capturedAt: pod.capturedAt,
+    gps: pod.gps,
+    driverId: pod.driver ? pod.driver.id : '',
+    driverName: pod.driver ? pod.driver.name : '',
+    photoCount: summary.photoCount
+  }, { key: pod.bookingRef, bookingRef: pod.bookingRef });
+
+  return { ok: true, pod: summary, booking: updated };
+}
+
+module.exports = {
+  MAX_PHOTOS,
+  normalisePod,
+  podSummary,
+  getPod,
+  recordPod
+};
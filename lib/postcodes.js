@@ -0,0 +1,63 @@
+/**
+ * lib/postcodes.js
+ * UK postcode helpers shared by the API and book.html (window.GileadPostcodes).
+ * Dependency-free so the browser can load it as-is.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GileadPostcodes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const POSTCODE_RE = /\b([A-Z]{1,2}\d{1,2}[A-Z]?)\s*?(\d[A-Z]{2})\b/;
+
+  // Pulls the first full UK postcode out of free text ("Unit 4, ... GL6 0RT")
+  function extractPostcode(text) {
+    const t = String(text || '').toUpperCase();
+    const m = t.match(POSTCODE_RE);
+    return m ? (m[1] + ' ' + m[2]).replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // "gl60rt" → "GL6 0RT"; returns '' if it isn't a full postcode
+  function normalisePostcode(pc) {
+    const compact = String(pc || '').toUpperCase().replace(/\s+/g, '');
+    const m = /^([A-Z]{1,2}\d{1,2}[A-Z]?)(\d[A-Z]{2})$/.exec(compact);
+    return m ? `${m[1]} ${m[2]}` : '';
+  }
+
+  // "GL6 0RT" → "GL6"
+  function outwardCode(pc) {
+    const n = normalisePostcode(pc);
+    return n ? n.split(' ')[0] : '';
+  }
+
+  // "GL6 0RT" → "GL"
+  function postcodeArea(pc) {
+    const m = /^[A-Z]{1,2}/.exec(outwardCode(pc));
+    return m ? m[0] : '';
+  }
+
+  /**
+   * True if `pc` falls under `prefix`, where prefix is an area ("ME"),
+   * an outward code ("GL10") or a full postcode. Whole segments only,
+   * so "GL1" does not match GL10.
+   */
+  function postcodeMatches(pc, prefix) {
+    const p = String(prefix || '').toUpperCase().trim();
+    if (!p || !normalisePostcode(pc)) return false;
+    if (/^[A-Z]{1,2}$/.test(p)) return postcodeArea(pc) === p;
+    if (normalisePostcode(p)) return normalisePostcode(pc) === normalisePostcode(p);
+    return outwardCode(pc) === p;
+  }
+
+  return {
+    extractPostcode,
+    normalisePostcode,
+    outwardCode,
+    postcodeArea,
+    postcodeMatches
+  };
+});
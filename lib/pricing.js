@@ -0,0 +1,575 @@
+/**
+ * lib/pricing.js
+ * Shared pricing engine (PR-PROFILES-V3.2).
+ *
+ * Used by:
+ * - the checkout endpoints:  require('../lib/pricing')
+ * - book.html estimate:      <script src="/lib/pricing.js"></script>  (window.GileadPricing)
+ *
+ * Because the same file runs in the browser, keep it free of Node-only APIs;
+ * its only dependency is lib/time.js (load /lib/time.js first in the page).
+ * Any change here changes both the estimate and the amount Stripe charges —
+ * bump PRICING_VERSION when the tables change.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./time'));
+  } else {
+    root.GileadPricing = factory(root.GileadTime);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Time) {
+  'use strict';
+
+  const PRICING_VERSION = 'PR-PROFILES-V3.2';
+
+  // Per service-area tier (base → pickup, see lib/service-area.js)
+  const STANDARD_POSITIONING = {
+    TIER_1_CORE: 0,
+    TIER_2_EXTENDED: 20,
+    TIER_3_EXCEPTION: 45
+  };
+
+  const BASE_PRICING = {
+    baseUpTo20: 120,
+    perMileOver20: 2.75,
+    uplift: [],
+    manualQuoteMiles: 240,
+    urgencyMinutes: 180,
+    urgencyAdd: 30,
+    after17Add: 30,
+    weekendAdd: 55,
+    bankHolidayAdd: 85,
+    immediateAdd: 45,
+    perStopAdd: 20,
+    positioningAdd: STANDARD_POSITIONING,
+    rounding: 10
+  };
+
+  const NO_DISTANCE_UPLIFT = [];
+
+  const INDUSTRY_PRICING = {
+    Aerospace: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.25,
+        uplift: [
+          { min: 80,  max: 119, add: 35 },
+          { min: 120, max: 210, add: 20 },
+          { min: 211, max: 259, add: 105 }
+        ],
+        manualQuoteMiles: 260,
+        urgencyMinutes: 180,
+        urgencyAdd: 25,
+        after17Add: 25,
+        weekendAdd: 50,
+        bankHolidayAdd: 80,
+        immediateAdd: 30,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 1.30,
+        uplift: [
+          { min: 340, max: 520, add: 60 }
+        ],
+        manualQuoteMiles: 520,
+        urgencyMinutes: 180,
+        urgencyAdd: 25,
+        after17Add: 25,
+        weekendAdd: 50,
+        bankHolidayAdd: 80,
+        immediateAdd: 30,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    Legal: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.65,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 2.00,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    Medical: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.65,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 30,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 2.00,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 30,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    "Financial Services": {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.65,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 2.00,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 25,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    Defence: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.65,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 30,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 2.00,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 240,
+        urgencyMinutes: 180,
+        urgencyAdd: 40,
+        after17Add: 35,
+        weekendAdd: 60,
+        bankHolidayAdd: 90,
+        immediateAdd: 60,
+        perStopAdd: 30,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    Engineering: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.50,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 1.85,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    "Government / Public Sector": {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.50,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 1.85,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    },
+
+    Other: {
+      oneway: {
+        baseUpTo20: 120,
+        perMileOver20: 2.50,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      },
+      return_same_day: {
+        baseUpTo20: 120,
+        perMileOver20: 1.85,
+        uplift: NO_DISTANCE_UPLIFT,
+        manualQuoteMiles: 220,
+        urgencyMinutes: 180,
+        urgencyAdd: 30,
+        after17Add: 30,
+        weekendAdd: 55,
+        bankHolidayAdd: 85,
+        immediateAdd: 45,
+        perStopAdd: 20,
+        positioningAdd: STANDARD_POSITIONING,
+        rounding: 10
+      }
+    }
+  };
+
+  // ---------- Helpers ----------
+  function roundToNearest(amount, nearest) {
+    const n = Number(nearest) || 1;
+    return Math.round(amount / n) * n;
+  }
+
+  function n2(v) {
+    return Math.round(Number(v || 0) * 100) / 100;
+  }
+
+  function normaliseServiceType(st) {
+    return String(st || 'oneway').trim() === 'return_same_day' ? 'return_same_day' : 'oneway';
+  }
+
+  function getPricingProfile(industryKey, st) {
+    const key = String(industryKey || '').trim();
+    const s = normaliseServiceType(st);
+
+    const industryPack = INDUSTRY_PRICING[key];
+    const override = industryPack && industryPack[s] ? industryPack[s] : null;
+
+    const merged = override ? { ...BASE_PRICING, ...override } : { ...BASE_PRICING };
+    if (override && Object.prototype.hasOwnProperty.call(override, 'uplift')) {
+      merged.uplift = override.uplift;
+    }
+    return merged;
+  }
+
+  /**
+   * Job date/time → { instant, hour, dayOfWeek }. The form's whenDate/whenTime
+   * are Europe/London wall-clock time, so the server and every browser agree
+   * on the after-17:00 / weekend uplifts and on urgency.
+   */
+  function parseJobDateTime(whenDate, whenTime) {
+    const instant = Time.londonToDate(whenDate, whenTime);
+    if (!instant) return null;
+
+    const local = Time.londonParts(instant);
+    return {
+      instant,
+      hour: local.hour,
+      dayOfWeek: local.dayOfWeek
+    };
+  }
+
+  /**
+   * Computes the itemised price for a job.
+   *
+   * Input:  { miles, industry, serviceType, whenDate, whenTime, immediateDelivery, isBankHoliday, stops, serviceTier, now }
+   *         stops: number of intermediate stops between pickup and drop-off,
+   *           each charged at the profile's perStopAdd (miles already cover the full route)
+   *         serviceTier: service-area tier of the pickup (lib/service-area.js); adds the
+   *           profile's positioningAdd for that tier ('' when unknown: no charge)
+   *         contract: resolved terms from lib/contracts.js ({ accountCode, manualQuoteMiles, lane })
+   *           - lane.price is a fixed, all-in price (no distance or time uplifts)
+   *           - manualQuoteMiles replaces the profile's limit for this account
+   *         allowMissingWhen: true prices without time uplifts while the date/time
+   *         is still blank (browser estimate only — checkout always requires it).
+   * Output: { ok, manual, reason, ...breakdown }
+   *   - ok:false, manual:true  → over the manual quote limit
+   *   - ok:false, manual:false → input incomplete/invalid (see reason)
+   */
+  function computeQuote(input) {
+    const {
+      miles,
+      industry = '',
+      serviceType = 'oneway',
+      whenDate = '',
+      whenTime = '',
+      immediateDelivery = false,
+      isBankHoliday = false,
+      stops = 0,
+      serviceTier = '',
+      contract = null,
+      allowMissingWhen = false,
+      now = new Date()
+    } = input || {};
+
+    const serviceTypeSafe = normaliseServiceType(serviceType);
+    const isReturnSameDay = serviceTypeSafe === 'return_same_day';
+    const P = getPricingProfile(industry, serviceTypeSafe);
+    const lane = contract && contract.lane ? contract.lane : null;
+
+    const manualQuoteMiles = contract && Number(contract.manualQuoteMiles) > 0
+      ? Number(contract.manualQuoteMiles)
+      : Number(P.manualQuoteMiles);
+
+    const milesNum = Number(miles);
+    if (!Number.isFinite(milesNum) || milesNum <= 0) {
+      return { ok: false, manual: false, reason: 'Invalid miles', profile: P };
+    }
+
+    // Effective miles used for pricing / manual quote checks
+    const effectiveMiles = isReturnSameDay ? (milesNum * 2) : milesNum;
+
+    // A contracted lane is priced regardless of distance
+    if (!lane && effectiveMiles >= manualQuoteMiles) {
+      return {
+        ok: false,
+        manual: true,
+        reason: `Manual quote required for ${manualQuoteMiles}+ miles`,
+        profile: P,
+        manualQuoteMiles,
+        milesOneWay: milesNum,
+        effectiveMiles
+      };
+    }
+
+    const job = parseJobDateTime(whenDate, whenTime);
+    if (!job && !(allowMissingWhen && !whenDate && !whenTime)) {
+      return { ok: false, manual: false, reason: 'Invalid whenDate/whenTime', profile: P };
+    }
+
+    const isAfter1700 = !!job && job.hour >= 17;
+    const isWeekend = !!job && (job.dayOfWeek === 0 || job.dayOfWeek === 6);
+    const isBankHol = !!job && !!isBankHoliday;
+    const isImmediate = !!immediateDelivery;
+    const stopCount = Math.max(0, Math.floor(Number(stops) || 0));
+
+    // Urgency: < N minutes notice
+    const diffMinutes = job ? (job.instant.getTime() - new Date(now).getTime()) / 60000 : -1;
+    const isUrgent = diffMinutes >= 0 && diffMinutes < Number(P.urgencyMinutes || 0);
+
+    const lines = {
+      base: 0,
+      distance: 0,
+      distanceUplift: 0,
+      urgency: 0,
+      after1700: 0,
+      weekend: 0,
+      bankHoliday: 0,
+      immediate: 0,
+      stops: 0,
+      positioning: 0,
+      contractLane: 0
+    };
+
+    if (lane) {
+      lines.contractLane = Number(lane.price);
+    } else {
+      // Base + distance component (based on EFFECTIVE miles)
+      const over20 = Math.max(0, effectiveMiles - 20);
+      lines.base = Number(P.baseUpTo20);
+      lines.distance = over20 * Number(P.perMileOver20);
+
+      // Distance uplift bracket (based on EFFECTIVE miles)
+      for (const b of (P.uplift || [])) {
+        if (effectiveMiles >= b.min && effectiveMiles <= b.max) {
+          lines.distanceUplift = Number(b.add) || 0;
+          break;
+        }
+      }
+
+      // Time-based uplifts (bank holiday replaces weekend, never both)
+      lines.urgency = isUrgent ? Number(P.urgencyAdd || 0) : 0;
+      lines.after1700 = isAfter1700 ? Number(P.after17Add || 0) : 0;
+      lines.weekend = (!isBankHol && isWeekend) ? Number(P.weekendAdd || 0) : 0;
+      lines.bankHoliday = isBankHol ? Number(P.bankHolidayAdd || 0) : 0;
+
+      // Immediate delivery uplift (explicit flag)
+      lines.immediate = isImmediate ? Number(P.immediateAdd || 0) : 0;
+
+      // Each intermediate collection/drop (return_same_day visits them once, not twice)
+      lines.stops = stopCount * Number(P.perStopAdd || 0);
+
+      // Getting the van from base to a distant pickup
+      lines.positioning = serviceTier ? Number((P.positioningAdd || {})[serviceTier] || 0) : 0;
+    }
+
+    const totalBeforeRounding = Object.keys(lines).reduce((sum, k) => sum + lines[k], 0);
+
+    const total = lane ? totalBeforeRounding : roundToNearest(totalBeforeRounding, Number(P.rounding || 1));
+
+    return {
+      ok: true,
+      manual: false,
+      reason: '',
+      pricingRuleVersion: PRICING_VERSION,
+      profile: P,
+      manualQuoteMiles,
+      industry: String(industry || ''),
+      serviceType: serviceTypeSafe,
+      isReturnSameDay,
+      milesOneWay: milesNum,
+      effectiveMiles,
+      stopCount,
+      serviceTier: String(serviceTier || ''),
+      contract: contract
+        ? { accountCode: contract.accountCode, laneId: lane ? lane.id : '' }
+        : null,
+      flags: {
+        after1700: isAfter1700,
+        weekend: isWeekend,
+        bankHoliday: isBankHol,
+        urgent: isUrgent,
+        immediate: isImmediate
+      },
+      lines,
+      totalBeforeRounding,
+      total,
+      amountPence: Math.round(Number(total) * 100)
+    };
+  }
+
+  /**
+   * Itemised breakdown of a successful quote, keyed like the pricing_* Stripe
+   * metadata. Plain numbers only, so it can be returned by /api/v1/quote and
+   * carried inside a signed quote token.
+   */
+  function toPricingBreakdown(q) {
+    const P = q.profile;
+    return {
+      pricing_profile_rounding_to: Number(P.rounding || 1),
+      pricing_profile_manual_quote_miles: Number(q.manualQuoteMiles || 0),
+      pricing_base: n2(q.lines.base),
+      pricing_per_mile_over20: n2(Number(P.perMileOver20)),
+      pricing_distance: n2(q.lines.distance),
+      pricing_uplift_distance: n2(q.lines.distanceUplift),
+      pricing_urgency: n2(q.lines.urgency),
+      pricing_after1700: n2(q.lines.after1700),
+      pricing_weekend: n2(q.lines.weekend),
+      pricing_bank_holiday: n2(q.lines.bankHoliday),
+      pricing_immediate: n2(q.lines.immediate),
+      pricing_stops: n2(q.lines.stops),
+      pricing_positioning: n2(q.lines.positioning),
+      pricing_contract_lane: n2(q.lines.contractLane),
+      pricing_total_before_rounding: n2(q.totalBeforeRounding),
+      calculatedPrice: n2(q.total)
+    };
+  }
+
+  /**
+   * Flattens a breakdown (see toPricingBreakdown) into Stripe metadata —
+   * all values are strings, as Stripe requires.
+   */
+  function toPricingMetadata(pricingRuleVersion, breakdown) {
+    const out = { pricingRuleVersion: String(pricingRuleVersion) };
+    for (const k of Object.keys(breakdown)) out[k] = String(breakdown[k]);
+    return out;
+  }
+
+  return {
+    PRICING_VERSION,
+    BASE_PRICING,
+    INDUSTRY_PRICING,
+    getPricingProfile,
+    parseJobDateTime,
+    computeQuote,
+    toPricingBreakdown,
+    toPricingMetadata,
+    roundToNearest,
+    n2
+  };
+});
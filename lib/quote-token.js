@@ -0,0 +1,149 @@
+/**
+ * lib/quote-token.js
+ * Short-lived signed quote tokens.
+ *
+ * /api/v1/quote prices a job and returns a token; checkout redeems it so the
+ * customer is charged exactly what they were quoted, even if the clock
+ * ticks past an uplift boundary (e.g. urgency) in between.
+ *
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ * Secret: QUOTE_SIGNING_SECRET   TTL: QUOTE_TTL_MINUTES (default 15)
+ */
+
+const crypto = require('crypto');
+const { extractPostcode } = require('./postcodes');
+const { normaliseAccountCode } = require('./contracts');
+const { stopPostcodes } = require('./stops');
+
+const DEFAULT_TTL_MINUTES = 15;
+
+function getSecret() {
+  return process.env.QUOTE_SIGNING_SECRET || '';
+}
+
+function getTtlMinutes() {
+  const n = Number(process.env.QUOTE_TTL_MINUTES);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_MINUTES;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * The request fields a quote is priced on. Checkout must send the same
+ * values for a token to be accepted.
+ */
+function quoteInputFromBody(body) {
+  const {
+    industry = '',
+    serviceType = 'oneway',
+    miles = '',
+    whenDate = '',
+    whenTime = '',
+    immediateDelivery = false,
+    accountCode = '',
+    pickup = '',
+    dropoff = '',
+    stops = [],
+    serviceTier = ''
+  } = body || {};
+
+  return {
+    industry: String(industry || '').trim(),
+    serviceType: String(serviceType || 'oneway').trim() === 'return_same_day' ? 'return_same_day' : 'oneway',
+    miles: Number(miles),
+    whenDate: String(whenDate || '').trim(),
+    whenTime: String(whenTime || '').trim(),
+    immediateDelivery: !!immediateDelivery,
+    accountCode: normaliseAccountCode(accountCode),
+    pickupPostcode: extractPostcode(pickup),
+    dropoffPostcode: extractPostcode(dropoff),
+    stopPostcodes: stopPostcodes(stops).join('|'),
+    serviceTier: String(serviceTier || '')
+  };
+}
+
+function sameInput(a, b) {
+  return Object.keys(a).every((k) => a[k] === b[k]);
+}
+
+/**
+ * Signs a priced booking (see lib/quote.js). Returns { token, quoteId, expiresAt }
+ * or null when no signing secret is configured.
+ */
+function signQuote({ input, priced }) {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  const now = Date.now();
+  const payload = {
+    qid: `Q-${crypto.randomBytes(6).toString('hex')}`,
+    iat: now,
+    exp: now + getTtlMinutes() * 60 * 1000,
+    in: input,
+    v: priced.pricingRuleVersion,
+    effectiveMiles: priced.effectiveMiles,
+    flags: priced.flags,
+    contract: priced.contract,
+    bankHoliday: priced.bankHoliday,
+    breakdown: priced.breakdown,
+    total: priced.total,
+    amountPence: priced.amountPence
+  };
+
+  const body = b64url(JSON.stringify(payload));
+  const sig = b64url(hmac(secret, body));
+
+  return {
+    token: `${body}.${sig}`,
+    quoteId: payload.qid,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+}
+
+/**
+ * Verifies a token and checks it was issued for `input`.
+ * Returns { ok: true, quote } or { ok: false, reason }.
+ *   reason: 'not_configured' | 'malformed' | 'bad_signature' | 'expired' | 'mismatch'
+ */
+function verifyQuoteToken(token, input) {
+  const secret = getSecret();
+  if (!secret) return { ok: false, reason: 'not_configured' };
+
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, reason: 'malformed' };
+
+  const expected = hmac(secret, parts[0]);
+  const given = Buffer.from(parts[1], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (_) {
+    return { ok: false, reason: 'malformed' };
+  }
+
+  if (!payload || !Number.isFinite(payload.exp) || payload.exp < Date.now()) {
+    return { ok: false, reason: 'expired' };
+  }
+
+  if (input && !sameInput(input, payload.in || {})) {
+    return { ok: false, reason: 'mismatch' };
+  }
+
+  return { ok: true, quote: payload };
+}
+
+module.exports = {
+  quoteInputFromBody,
+  signQuote,
+  verifyQuoteToken
+};
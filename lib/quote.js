@@ -0,0 +1,116 @@
+/**
+ * lib/quote.js
+ * Prices a booking request body the same way for /api/v1/quote and checkout:
+ * contract lookup → bank holiday lookup → shared pricing engine → itemised breakdown.
+ */
+
+const { computeQuote, toPricingBreakdown } = require('./pricing');
+const { resolveContract } = require('./contracts');
+const { lookupBankHoliday } = require('./bank-holiday-calendar');
+const { quoteInputFromBody, verifyQuoteToken } = require('./quote-token');
+
+/**
+ * Returns { ok: true, input, priced } or { ok: false, status, error, manual }.
+ *
+ * `priced` is the flat shape checkout stores and charges:
+ *   { quoteId, pricingRuleVersion, effectiveMiles, flags, contract, bankHoliday, breakdown, total, amountPence }
+ *
+ * Bank holidays follow the pickup postcode's region (England & Wales,
+ * Scotland or Northern Ireland) on the job date.
+ *
+ * body.serviceTier must come from lib/service-area.js (callers set it
+ * server-side; never trust one sent by the browser).
+ */
+function priceBooking(body, { now = new Date() } = {}) {
+  const input = quoteInputFromBody(body);
+
+  if (!Number.isFinite(input.miles) || input.miles <= 0) {
+    return { ok: false, status: 400, error: 'Invalid miles' };
+  }
+
+  const stopCount = input.stopPostcodes ? input.stopPostcodes.split('|').length : 0;
+
+  const resolved = resolveContract({
+    accountCode: input.accountCode,
+    email: (body || {}).email,
+    serviceType: input.serviceType,
+    pickup: (body || {}).pickup,
+    dropoff: (body || {}).dropoff,
+    whenDate: input.whenDate,
+    stopCount
+  });
+
+  if (!resolved.ok) {
+    return { ok: false, status: 400, error: resolved.error };
+  }
+
+  const bankHoliday = lookupBankHoliday({
+    pickupPostcode: input.pickupPostcode,
+    whenDate: input.whenDate
+  });
+
+  const quote = computeQuote({
+    miles: input.miles,
+    industry: input.industry,
+    serviceType: input.serviceType,
+    whenDate: input.whenDate,
+    whenTime: input.whenTime,
+    immediateDelivery: input.immediateDelivery,
+    isBankHoliday: bankHoliday.isBankHoliday,
+    stops: stopCount,
+    serviceTier: input.serviceTier,
+    contract: resolved.contract,
+    now
+  });
+
+  if (!quote.ok) {
+    return { ok: false, status: 400, error: quote.reason, manual: !!quote.manual };
+  }
+
+  return {
+    ok: true,
+    input,
+    quote,
+    priced: {
+      quoteId: '',
+      pricingRuleVersion: quote.pricingRuleVersion,
+      effectiveMiles: quote.effectiveMiles,
+      flags: quote.flags,
+      contract: quote.contract,
+      bankHoliday: { region: bankHoliday.region, name: bankHoliday.name },
+      breakdown: toPricingBreakdown(quote),
+      total: quote.total,
+      amountPence: quote.amountPence
+    }
+  };
+}
+
+/**
+ * Redeems a signed quote token against a booking body.
+ * Returns { ok: true, priced } | { ok: false, reason } (see verifyQuoteToken).
+ */
+function redeemQuoteToken(token, body) {
+  const verified = verifyQuoteToken(token, quoteInputFromBody(body));
+  if (!verified.ok) return verified;
+
+  const q = verified.quote;
+  return {
+    ok: true,
+    priced: {
+      quoteId: q.qid,
+      pricingRuleVersion: q.v,
+      effectiveMiles: q.effectiveMiles,
+      flags: q.flags,
+      contract: q.contract || null,
+      bankHoliday: q.bankHoliday || { region: '', name: '' },
+      breakdown: q.breakdown,
+      total: q.total,
+      amountPence: q.amountPence
+    }
+  };
+}
+
+module.exports = {
+  priceBooking,
+  redeemQuoteToken
+};
@@ -0,0 +1,199 @@
+/**
+ * lib/recurrence.js
+ * Repeat rules for recurring bookings and the dates they produce.
+ *
+ * Rule: { frequency, intervalWeeks, weekdays, count, until }
+ * - frequency      'weekly' | 'fortnightly' | 'custom'
+ * - intervalWeeks  1 = every week, 2 = every other week, …
+ * - weekdays       0 = Sunday … 6 = Saturday (defaults to the first job's day)
+ * - count          total jobs including the first (default SERIES_DEFAULT_OCCURRENCES, 12)
+ * - until          optional last date, "YYYY-MM-DD"
+ *
+ * buildRepeatRule() takes book.html's repeatType plus either a structured
+ * customRepeat object or the free-text customRepeatDetails, e.g.
+ *   "Every Monday and Wednesday for 8 weeks"
+ *   "Fortnightly on Fridays, 6 times"
+ * Text we can't read returns { ok: false }; the series then waits for ops to
+ * set the rule. All dates are UK calendar dates; the job time stays fixed.
+ */
+
+const { addDays, dayOfWeek } = require('./time');
+
+const MAX_OCCURRENCES = 52;
+const MAX_HORIZON_DAYS = 366;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_PATTERNS = [
+  [0, /\bsun(day)?s?\b/],
+  [1, /\bmon(day)?s?\b/],
+  [2, /\btue(s|sday)?s?\b/],
+  [3, /\bwed(nesday)?s?\b/],
+  [4, /\bthu(r|rs|rsday)?s?\b/],
+  [5, /\bfri(day)?s?\b/],
+  [6, /\bsat(urday)?s?\b/]
+];
+const ORDINALS = { other: 2, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+function defaultCount() {
+  const n = Number(process.env.SERIES_DEFAULT_OCCURRENCES);
+  return Number.isInteger(n) && n > 1 ? Math.min(n, MAX_OCCURRENCES) : 12;
+}
+
+function toWeekday(v) {
+  if (Number.isInteger(v) && v >= 0 && v <= 6) return v;
+  const s = String(v || '').trim().toLowerCase();
+  const hit = DAY_PATTERNS.find(([, re]) => re.test(s));
+  return hit ? hit[0] : null;
+}
+
+function normaliseDate(s) {
+  const str = String(s || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(str);
+  return m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : '';
+}
+
+/**
+ * Best-effort reading of a customer's free-text repeat request.
+ * Returns { ok: true, rule } or { ok: false }.
+ */
+function parseCustomRepeat(text, startDate) {
+  const s = String(text || '').toLowerCase();
+  if (!s.trim()) return { ok: false };
+
+  let weekdays = DAY_PATTERNS.filter(([, re]) => re.test(s)).map(([d]) => d);
+  if (/\b(week ?days|working days|mon(day)?\s*(-|to)\s*fri(day)?)\b/.test(s)) weekdays = [1, 2, 3, 4, 5];
+  else if (/\b(daily|every day)\b/.test(s)) weekdays = [0, 1, 2, 3, 4, 5, 6];
+
+  let intervalWeeks = null;
+  let m;
+  if (/\bfortnight(ly)?\b/.test(s)) intervalWeeks = 2;
+  else if ((m = /\bevery\s+(other|second|2nd|third|3rd|fourth|4th)\s+week\b/.exec(s))) intervalWeeks = ORDINALS[m[1]];
+  else if ((m = /\bevery\s+(\d{1,2})\s+weeks\b/.exec(s))) intervalWeeks = Number(m[1]);
+  else if (/\b(weekly|every week|each week)\b/.test(s) || weekdays.length) intervalWeeks = 1;
+
+  if (!intervalWeeks) return { ok: false };
+
+  const rule = { frequency: 'custom', intervalWeeks, weekdays, count: null, until: '' };
+
+  if ((m = /\bfor\s+(\d{1,2})\s+weeks?\b/.exec(s)) && startDate) {
+    rule.until = addDays(startDate, Number(m[1]) * 7 - 1);
+  } else if ((m = /\bfor\s+(\d{1,2})\s+months?\b/.exec(s)) && startDate) {
+    rule.until = addDays(startDate, Number(m[1]) * 30);
+  }
+  if ((m = /\b(\d{1,2})\s+(times|occurrences|jobs|deliveries|collections)\b/.exec(s))) {
+    rule.count = Number(m[1]);
+  }
+  if ((m = /\buntil\s+(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})\b/.exec(s))) {
+    rule.until = normaliseDate(m[1]) || rule.until;
+  }
+
+  return { ok: true, rule };
+}
+
+/**
+ * Fills in defaults and validates a rule. Returns { ok, rule } or { ok: false, error }.
+ */
+function normaliseRule(input, startDate) {
+  const r = input || {};
+  const intervalWeeks = Number(r.intervalWeeks || 1);
+  if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 8) {
+    return { ok: false, error: 'Repeat interval must be 1–8 weeks' };
+  }
+
+  let weekdays = (Array.isArray(r.weekdays) ? r.weekdays : []).map(toWeekday);
+  if (weekdays.some((d) => d === null)) return { ok: false, error: 'Unknown weekday in repeat rule' };
+  if (!weekdays.length) weekdays = [dayOfWeek(startDate)];
+  weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+
+  let count = r.count == null || r.count === '' ? null : Number(r.count);
+  if (count !== null && (!Number.isInteger(count) || count < 2)) {
+    return { ok: false, error: 'Repeat count must be at least 2' };
+  }
+
+  const until = r.until ? normaliseDate(r.until) : '';
+  if (r.until && (!until || until <= startDate)) return { ok: false, error: 'Repeat end date must be after the first job' };
+  if (count === null && !until) count = defaultCount();
+
+  return {
+    ok: true,
+    rule: {
+      frequency: ['weekly', 'fortnightly', 'custom'].includes(r.frequency) ? r.frequency : 'custom',
+      intervalWeeks,
+      weekdays,
+      count: count === null ? null : Math.min(count, MAX_OCCURRENCES),
+      until
+    }
+  };
+}
+
+/**
+ * repeatType + custom details from the booking form → { ok, rule } (null for one-off),
+ * or { ok: false, error, needsReview } when a custom request can't be read.
+ */
+function buildRepeatRule({ repeatType = 'one_off', customRepeat = null, customRepeatDetails = '', whenDate = '' } = {}) {
+  const type = String(repeatType || 'one_off').trim();
+
+  if (type === 'one_off' || type === '') return { ok: true, rule: null };
+  if (type === 'weekly') return normaliseRule({ frequency: 'weekly', intervalWeeks: 1 }, whenDate);
+  if (type === 'fortnightly') return normaliseRule({ frequency: 'fortnightly', intervalWeeks: 2 }, whenDate);
+
+  if (type === 'custom') {
+    if (customRepeat && typeof customRepeat === 'object') {
+      return normaliseRule({ ...customRepeat, frequency: 'custom' }, whenDate);
+    }
+    const parsed = parseCustomRepeat(customRepeatDetails, whenDate);
+    if (!parsed.ok) return { ok: false, needsReview: true, error: 'Custom repeat needs review' };
+    return normaliseRule(parsed.rule, whenDate);
+  }
+
+  return { ok: false, error: `Unknown repeatType: ${type}` };
+}
+
+/**
+ * Occurrence dates for a rule, starting with (and including) startDate.
+ * Weeks run Monday–Sunday, counted from the first job's week.
+ */
+function generateOccurrences(startDate, rule) {
+  const dates = [startDate];
+  if (!rule) return dates;
+
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const horizon = addDays(startDate, MAX_HORIZON_DAYS);
+  const lastDate = rule.until && rule.until < horizon ? rule.until : horizon;
+  const monday = addDays(startDate, -((dayOfWeek(startDate) + 6) % 7));
+  const offsets = rule.weekdays.map((d) => (d + 6) % 7).sort((a, b) => a - b);
+
+  for (let week = 0; dates.length < limit; week += rule.intervalWeeks) {
+    const weekStart = addDays(monday, week * 7);
+    if (weekStart > lastDate) break;
+
+    for (const off of offsets) {
+      const date = addDays(weekStart, off);
+      if (date <= startDate || date > lastDate) continue;
+      dates.push(date);
+      if (dates.length >= limit) break;
+    }
+  }
+
+  return dates;
+}
+
+// "Every 2 weeks on Mon, Wed · 8 jobs"
+function describeRule(rule) {
+  if (!rule) return 'One-off';
+  const every = rule.intervalWeeks === 1 ? 'Every week' : `Every ${rule.intervalWeeks} weeks`;
+  const days = rule.weekdays.map((d) => DAY_NAMES[d]).join(', ');
+  const end = rule.until ? ` until ${rule.until}` : '';
+  const count = rule.count ? ` · up to ${rule.count} jobs` : '';
+  return `${every} on ${days}${end}${count}`;
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  buildRepeatRule,
+  parseCustomRepeat,
+  normaliseRule,
+  generateOccurrences,
+  describeRule
+};
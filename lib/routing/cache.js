@@ -0,0 +1,38 @@
+/**
+ * lib/routing/cache.js
+ * Caches for the routing layer (see lib/cache.js):
+ * - geocode: postcode → { lat, lon }     GEOCODE_CACHE_TTL_HOURS (default 720 = 30 days)
+ * - route:   "FROM|…|TO" → road distance ROUTE_CACHE_TTL_HOURS (default 168 = 7 days)
+ * Postcodes barely move, so long TTLs are safe. ROUTING_CACHE_PERSIST=1
+ * also keeps them in the record store.
+ */
+
+const { createCache } = require('../cache');
+
+function hours(envName, fallback) {
+  const n = Number(process.env[envName]);
+  return (Number.isFinite(n) && n > 0 ? n : fallback) * 60 * 60 * 1000;
+}
+
+const persist = process.env.ROUTING_CACHE_PERSIST === '1';
+
+const geocodeCache = createCache('geocode', {
+  max: 5000,
+  ttlMs: hours('GEOCODE_CACHE_TTL_HOURS', 720),
+  persist
+});
+
+const routeCache = createCache('route', {
+  max: 5000,
+  ttlMs: hours('ROUTE_CACHE_TTL_HOURS', 168),
+  persist
+});
+
+// Unknown postcodes are remembered briefly so repeated typos don't hammer postcodes.io
+const NEGATIVE_TTL_MS = 60 * 60 * 1000;
+
+module.exports = {
+  geocodeCache,
+  routeCache,
+  NEGATIVE_TTL_MS
+};
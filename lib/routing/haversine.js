@@ -0,0 +1,99 @@
+/**
+ * lib/routing/haversine.js
+ * Offline fallback: straight-line distance between bundled postcode
+ * centroids (data/postcode-centroids.json, or ROUTING_CENTROIDS_FILE),
+ * multiplied by a road factor (ROUTING_ROAD_FACTOR, default 1.3).
+ *
+ * Uses the district (outward code) centroid when bundled, otherwise the
+ * area's. Always flagged approximate; area-level results can be tens of
+ * miles out in large rural areas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalisePostcode, outwardCode, postcodeArea } = require('../postcodes');
+
+const BUNDLED_FILE = path.join(__dirname, '..', '..', 'data', 'postcode-centroids.json');
+const EARTH_RADIUS_M = 6371008.8;
+
+let centroids = null;
+
+function loadCentroids() {
+  if (centroids) return centroids;
+
+  const file = process.env.ROUTING_CENTROIDS_FILE || BUNDLED_FILE;
+  try {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    centroids = { areas: json.areas || {}, districts: json.districts || {} };
+  } catch (e) {
+    console.error('Postcode centroids not readable; offline distance disabled.', e.message);
+    centroids = { areas: {}, districts: {} };
+  }
+  return centroids;
+}
+
+function roadFactor() {
+  const n = Number(process.env.ROUTING_ROAD_FACTOR);
+  return Number.isFinite(n) && n >= 1 ? n : 1.3;
+}
+
+// → { lat, lon, precision: 'district' | 'area' } or null
+function locate(postcode) {
+  const pc = normalisePostcode(postcode);
+  if (!pc) return null;
+
+  const { areas, districts } = loadCentroids();
+  const d = districts[outwardCode(pc)];
+  if (d) return { lat: d[0], lon: d[1], precision: 'district' };
+  const a = areas[postcodeArea(pc)];
+  if (a) return { lat: a[0], lon: a[1], precision: 'area' };
+  return null;
+}
+
+function haversineMeters(a, b) {
+  const rad = (x) => (x * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+function createHaversineProvider() {
+  return {
+    name: 'haversine',
+
+    // points: postcodes or { lat, lon } in visiting order; each leg is estimated separately
+    async route(points) {
+      const located = [];
+      for (const pc of points) {
+        if (typeof pc !== 'string') {
+          located.push({ lat: pc.lat, lon: pc.lon, precision: 'position' });
+          continue;
+        }
+        if (!normalisePostcode(pc)) return { ok: false, fatal: true, error: `Invalid postcode: ${pc}` };
+        const c = locate(pc);
+        if (!c) return { ok: false, error: `haversine: no centroid for ${pc}` };
+        located.push(c);
+      }
+
+      const legs = [];
+      for (let i = 1; i < located.length; i++) {
+        legs.push(haversineMeters(located[i - 1], located[i]) * roadFactor());
+      }
+
+      return {
+        ok: true,
+        meters: legs.reduce((sum, m) => sum + m, 0),
+        legs,
+        approximate: true,
+        precision: located.every((c) => c.precision !== 'area') ? 'district' : 'area'
+      };
+    }
+  };
+}
+
+module.exports = {
+  createHaversineProvider,
+  haversineMeters,
+  locate
+};
@@ -0,0 +1,21 @@
+/**
+ * lib/routing/http.js
+ * fetch + JSON with a timeout, so a hung upstream fails over quickly
+ * (ROUTING_TIMEOUT_MS, default 4000).
+ */
+
+function timeoutMs() {
+  const n = Number(process.env.ROUTING_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : 4000;
+}
+
+// Resolves { ok, status, json } — json is {} if the body isn't JSON; throws on network error/timeout
+async function getJson(url) {
+  const r = await fetch(url, { signal: AbortSignal.timeout(timeoutMs()) });
+  const json = await r.json().catch(() => ({}));
+  return { ok: r.ok, status: r.status, json: json || {} };
+}
+
+module.exports = {
+  getJson
+};
@@ -0,0 +1,126 @@
+/**
+ * lib/routing
+ * Postcode-to-postcode road distance behind swappable providers, direct
+ * or via intermediate stops. A point may also be a GPS position
+ * { lat, lon } (e.g. a driver's last ping, lib/locations.js).
+ *
+ * Providers (ROUTING_PROVIDERS, comma-separated, tried in order):
+ * - "osrm"          self-hosted OSRM at OSRM_URL (+ postcodes.io geocoding)
+ * - "osrm-public"   router.project-osrm.org (+ postcodes.io), best-effort
+ * - "haversine"     offline: bundled centroids × road factor (approximate)
+ * Default: osrm (only if OSRM_URL is set), osrm-public, haversine.
+ *
+ * A provider failure (timeout, 5xx, rate limit) fails over to the next one.
+ * An invalid postcode stops the chain: no provider can route it.
+ *
+ * Road distances are cached per postcode sequence (lib/routing/cache.js), so
+ * repeat estimates and checkout reuse the first answer. Approximate
+ * (offline) results and routes from a GPS position aren't cached, so real
+ * routing takes over once the upstream is back.
+ *
+ * getRoute(from, to) → { ok: true, miles, meters, legs, provider, approximate, precision, cached, attempts }
+ *                    | { ok: false, error, invalidPostcode, attempts }
+ * getRouteVia([from, ...stops, to]) → same shape; legs[i] is the miles
+ *                    between points[i] and points[i + 1].
+ *
+ * A provider is { name, route(points) } (points: normalised postcodes or { lat, lon }) resolving to
+ * { ok: true, meters, legs: [meters], approximate, precision } | { ok: false, error, fatal }.
+ */
+
+const { normalisePostcode } = require('../postcodes');
+const { createOsrmProvider } = require('./osrm');
+const { createHaversineProvider } = require('./haversine');
+const { routeCache } = require('./cache');
+
+const METERS_PER_MILE = 1609.344;
+
+const factories = {
+  osrm: () => createOsrmProvider({ name: 'osrm', baseUrl: process.env.OSRM_URL }),
+  'osrm-public': () => createOsrmProvider({ name: 'osrm-public', baseUrl: 'https://router.project-osrm.org' }),
+  haversine: () => createHaversineProvider()
+};
+
+let chain = null;
+
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  chain = null;
+}
+
+function getProviderChain() {
+  if (chain) return chain;
+
+  const configured = String(process.env.ROUTING_PROVIDERS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const names = configured.length
+    ? configured
+    : [...(process.env.OSRM_URL ? ['osrm'] : []), 'osrm-public', 'haversine'];
+
+  chain = names
+    .filter((n) => {
+      if (factories[n]) return true;
+      console.warn(`Unknown routing provider "${n}" in ROUTING_PROVIDERS; ignored.`);
+      return false;
+    })
+    .map((n) => factories[n]());
+
+  if (!chain.length) chain = [factories.haversine()];
+  return chain;
+}
+
+function isPosition(p) {
+  return !!p && typeof p === 'object' && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon));
+}
+
+async function getRouteVia(points) {
+  const pcs = (points || []).map((p) => (isPosition(p)
+    ? { lat: Number(p.lat), lon: Number(p.lon) }
+    : normalisePostcode(p) || String(p || '').trim()));
+  const attempts = [];
+
+  if (pcs.length < 2) return { ok: false, error: 'At least two postcodes are required', invalidPostcode: false, attempts };
+
+  const cacheable = pcs.every((p) => typeof p === 'string');
+  const key = cacheable ? pcs.join('|') : '';
+  const hit = cacheable ? await routeCache.get(key) : null;
+  if (hit) return { ...hit, cached: true, attempts };
+
+  for (const provider of getProviderChain()) {
+    const r = await provider.route(pcs);
+    if (r.ok) {
+      attempts.push({ provider: provider.name, ok: true });
+      const legs = Array.isArray(r.legs) && r.legs.length === pcs.length - 1 ? r.legs : [r.meters];
+      const route = {
+        ok: true,
+        miles: r.meters / METERS_PER_MILE,
+        meters: r.meters,
+        legs: legs.map((m) => m / METERS_PER_MILE),
+        provider: provider.name,
+        approximate: !!r.approximate,
+        precision: r.precision
+      };
+      if (cacheable && !route.approximate) await routeCache.set(key, route);
+      return { ...route, cached: false, attempts };
+    }
+
+    attempts.push({ provider: provider.name, ok: false, error: r.error });
+    if (r.fatal) return { ok: false, error: r.error, invalidPostcode: true, attempts };
+    console.warn(`Routing provider ${provider.name} failed; trying next.`, r.error);
+  }
+
+  return { ok: false, error: 'Routing failed', invalidPostcode: false, attempts };
+}
+
+function getRoute(from, to) {
+  return getRouteVia([from, to]);
+}
+
+module.exports = {
+  METERS_PER_MILE,
+  registerProvider,
+  getProviderChain,
+  getRoute,
+  getRouteVia
+};
@@ -0,0 +1,51 @@
+/**
+ * lib/routing/osrm.js
+ * Road distance from an OSRM server, with postcodes.io geocoding.
+ * The public router.project-osrm.org server is best-effort (no SLA, rate
+ * limited); point OSRM_URL at a self-hosted instance for production volume.
+ */
+
+const { getJson } = require('./http');
+const { geocode } = require('./postcodes-io');
+
+function createOsrmProvider({ name, baseUrl }) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+
+  return {
+    name,
+
+    // points: postcodes or { lat, lon } in visiting order (pickup, stops…, drop-off)
+    async route(points) {
+      if (!base) return { ok: false, error: `${name}: no server URL configured` };
+
+      const coords = [];
+      for (const pc of points) {
+        const g = typeof pc === 'string' ? await geocode(pc) : { ok: true, ...pc };
+        if (!g.ok) return g;
+        coords.push(`${g.lon},${g.lat}`);
+      }
+
+      try {
+        const url = `${base}/route/v1/driving/${coords.join(';')}?overview=false`;
+        const { ok, status, json } = await getJson(url);
+        if (!ok || json.code !== 'Ok' || !json.routes || !json.routes[0]) {
+          return { ok: false, error: `${name}: routing failed (HTTP ${status}${json.code ? `, ${json.code}` : ''})` };
+        }
+        const r = json.routes[0];
+        return {
+          ok: true,
+          meters: r.distance,
+          legs: (r.legs || []).map((l) => l.distance),
+          approximate: false,
+          precision: 'road'
+        };
+      } catch (e) {
+        return { ok: false, error: `${name} unreachable: ${e.message}` };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOsrmProvider
+};
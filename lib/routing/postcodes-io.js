@@ -0,0 +1,42 @@
+/**
+ * lib/routing/postcodes-io.js
+ * Geocoding via api.postcodes.io (free, no key), cached (lib/routing/cache.js).
+ */
+
+const { getJson } = require('./http');
+const { geocodeCache, NEGATIVE_TTL_MS } = require('./cache');
+
+const BASE_URL = 'https://api.postcodes.io';
+
+/**
+ * Returns { ok: true, lat, lon, postcode } or { ok: false, error, fatal }.
+ * fatal: the postcode itself is invalid, so trying another provider won't help.
+ */
+async function lookup(postcode) {
+  try {
+    const { ok, status, json } = await getJson(`${BASE_URL}/postcodes/${encodeURIComponent(postcode)}`);
+    if (ok && json.status === 200 && json.result) {
+      return { ok: true, lat: json.result.latitude, lon: json.result.longitude, postcode: json.result.postcode };
+    }
+    if (status === 404) return { ok: false, fatal: true, error: `Invalid postcode: ${postcode}` };
+    return { ok: false, error: `postcodes.io HTTP ${status}` };
+  } catch (e) {
+    return { ok: false, error: `postcodes.io unreachable: ${e.message}` };
+  }
+}
+
+// Cached lookup(); invalid postcodes are cached briefly too
+async function geocode(postcode) {
+  const key = String(postcode || '').toUpperCase().replace(/\s+/g, '');
+  const cached = await geocodeCache.get(key);
+  if (cached) return cached;
+
+  const result = await lookup(postcode);
+  if (result.ok) await geocodeCache.set(key, result);
+  else if (result.fatal) await geocodeCache.set(key, result, NEGATIVE_TTL_MS);
+  return result;
+}
+
+module.exports = {
+  geocode
+};
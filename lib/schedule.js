@@ -0,0 +1,44 @@
+/**
+ * lib/schedule.js
+ * Job schedule window (scheduleStart / scheduleEnd) shared by availability,
+ * checkout and the webhook fallback.
+ *
+ * whenDate/whenTime is the Europe/London "needed by" time and becomes
+ * scheduleEnd; scheduleStart backs off by the estimated drive time plus a
+ * buffer, and a dwell allowance for each intermediate stop. Both are
+ * returned as UTC ISO strings.
+ */
+
+const { londonToDate } = require('./time');
+
+const AVG_MPH = 30;                // Assumed average speed
+const BUFFER_MIN = 20;             // Parking / loading / traffic tolerance
+const FALLBACK_DRIVE_MIN = 60;     // Used when miles are missing
+const STOP_DWELL_MIN = 10;         // Per intermediate collection / drop
+
+function computeScheduleWindow({ whenDate, whenTime, miles, stops = 0, bufferMinutes = BUFFER_MIN }) {
+  const end = londonToDate(whenDate, whenTime);
+  if (!end) return { scheduleStart: null, scheduleEnd: null };
+
+  const milesNum = Number(miles);
+  const driveMinutes =
+    Number.isFinite(milesNum) && milesNum > 0
+      ? (milesNum / AVG_MPH) * 60
+      : FALLBACK_DRIVE_MIN;
+
+  const dwellMinutes = Math.max(0, Number(stops) || 0) * STOP_DWELL_MIN;
+  const totalMinutes = driveMinutes + dwellMinutes + Number(bufferMinutes || 0);
+  const startMs = end.getTime() - totalMinutes * 60 * 1000;
+
+  return {
+    scheduleStart: new Date(startMs).toISOString(),
+    scheduleEnd: end.toISOString()
+  };
+}
+
+module.exports = {
+  AVG_MPH,
+  BUFFER_MIN,
+  STOP_DWELL_MIN,
+  computeScheduleWindow
+};
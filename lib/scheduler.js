@@ -0,0 +1,407 @@
+/**
+ * lib/scheduler.js
+ * Booked job windows per vehicle, and conflict checks for new ones.
+ * Replaces the Make availability scenario; Make is only told about changes.
+ *
+ * Collection "schedule", keyed by bookingRef (booked windows) or holdId
+ * (holds, "hold_…"):
+ *   { bookingRef, holdId?, vehicleId, depotId, pickupPostcode, dropoffPostcode,
+ *     scheduleStart, scheduleEnd, status, holdExpiresAt?, sessionId?,
+ *     conflictWith, createdAt, updatedAt }
+ *
+ * Status:
+ *   held      → a customer is between the availability check and payment;
+ *               blocks the slot until holdExpiresAt
+ *   converted → the hold's booking was paid and is now booked
+ *   booked    → the booking is paid
+ *   released  → cancelled, refunded, or the hold was let go
+ *
+ * /api/availability places a hold for SLOT_HOLD_MINUTES (default 15).
+ * Checkout takes it over (or places one) and ties it to the Stripe Checkout
+ * Session, whose expiry it then shares (CHECKOUT_HOLD_MINUTES, default 30,
+ * Stripe's minimum). The window is booked when the booking is paid and
+ * released when it is cancelled or refunded (lib/bookings.js), which also
+ * settles its hold. An expired hold simply stops blocking.
+ *
+ * A job conflicts with another on the same vehicle if the windows overlap,
+ * or if the gap between them is shorter than the drive from the earlier
+ * job's drop-off to the later job's pickup: routed miles at AVG_MPH
+ * (lib/schedule.js) plus SCHEDULER_TURNAROUND_MINUTES (default 15). If that
+ * drive can't be routed the gap must be at least
+ * SCHEDULER_UNROUTED_GAP_MINUTES (default 90). Only the neighbouring jobs
+ * either side are checked; they already fit around the rest.
+ *
+ * Each reserve / release goes to MAKE_SCHEDULE_SYNC_WEBHOOK_URL through the
+ * outbox (kind 'schedule_sync') so the Make / Airtable calendar can mirror
+ * it; it is skipped when that isn't set.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { extractPostcode } = require('./postcodes');
+const { getRoute } = require('./routing');
+const { AVG_MPH } = require('./schedule');
+const { rankVehicles, toAssignment } = require('./fleet');
+const outbox = require('./outbox');
+
+function schedule() {
+  return getCollection('schedule');
+}
+
+function minutesEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function ms(iso) {
+  return Date.parse(iso);
+}
+
+function slotHoldMinutes() {
+  return minutesEnv('SLOT_HOLD_MINUTES', 15) || 15;
+}
+
+// Stripe sessions last 30 minutes to 24 hours
+function checkoutHoldMinutes() {
+  return Math.min(23 * 60, Math.max(30, minutesEnv('CHECKOUT_HOLD_MINUTES', 30)));
+}
+
+function isBlocking(e, nowMs = Date.now()) {
+  if (e.status === 'booked') return true;
+  return e.status === 'held' && ms(e.holdExpiresAt) > nowMs;
+}
+
+/**
+ * Minutes a vehicle needs between finishing at `from` and starting at `to`
+ * (postcodes). → { minutes, miles, routed }
+ */
+async function travelMinutes(from, to) {
+  const turnaround = minutesEnv('SCHEDULER_TURNAROUND_MINUTES', 15);
+  if (from && to && from === to) return { minutes: turnaround, miles: 0, routed: true };
+
+  const route = from && to ? await getRoute(from, to) : { ok: false };
+  if (!route.ok) {
+    return { minutes: minutesEnv('SCHEDULER_UNROUTED_GAP_MINUTES', 90), miles: null, routed: false };
+  }
+
+  const miles = Math.max(0, route.miles);
+  return { minutes: Math.ceil((miles / AVG_MPH) * 60 + turnaround), miles, routed: true };
+}
+
+/**
+ * Schedule entries, earliest first.
+ * filter: { vehicleId?, from?, to?, status? }
+ *   status: 'active' (default: booked + unexpired holds), 'all', or one status
+ */
+async function listSchedule({ vehicleId = '', from = '', to = '', status = 'active' } = {}) {
+  const fromMs = from ? ms(from) : -Infinity;
+  const toMs = to ? ms(to) : Infinity;
+  const nowMs = Date.now();
+
+  const entries = await schedule().list((e) =>
+    (status === 'all' || (status === 'active' ? isBlocking(e, nowMs) : e.status === status)) &&
+    (!vehicleId || e.vehicleId === vehicleId) &&
+    ms(e.scheduleEnd) > fromMs &&
+    ms(e.scheduleStart) < toMs
+  );
+  return entries.sort((a, b) => ms(a.scheduleStart) - ms(b.scheduleStart));
+}
+
+function clashWith(e) {
+  return e.holdId ? { bookingRef: e.bookingRef || '', holdId: e.holdId } : { bookingRef: e.bookingRef };
+}
+
+/**
+ * First clash for a job on a vehicle, or null if it fits. Booked windows
+ * and unexpired holds both count.
+ * job: { vehicleId, scheduleStart, scheduleEnd, pickup, dropoff, bookingRef?, holdId? }
+ * → null | { bookingRef, holdId?, type: 'overlap' | 'travel_before' | 'travel_after', gapMinutes?, travelMinutes? }
+ * The job's own bookingRef and hold are ignored, so re-checking is safe.
+ * opts.entries: active entries already read with listSchedule, for callers
+ * checking many windows at once.
+ */
+async function findConflict(job, { entries = null } = {}) {
+  const start = ms(job.scheduleStart);
+  const end = ms(job.scheduleEnd);
+  const pickup = extractPostcode(job.pickup);
+  const dropoff = extractPostcode(job.dropoff);
+
+  const others = (entries || await listSchedule({ vehicleId: job.vehicleId }))
+    .filter((e) => e.vehicleId === job.vehicleId)
+    .filter((e) => !(job.bookingRef && e.bookingRef === job.bookingRef) && !(job.holdId && e.holdId === job.holdId));
+
+  let before = null;
+  let after = null;
+  for (const e of others) {
+    const eStart = ms(e.scheduleStart);
+    const eEnd = ms(e.scheduleEnd);
+    if (eStart < end && start < eEnd) return { ...clashWith(e), type: 'overlap' };
+    if (eEnd <= start && (!before || eEnd > ms(before.scheduleEnd))) before = e;
+    if (eStart >= end && (!after || eStart < ms(after.scheduleStart))) after = e;
+  }
+
+  if (before) {
+    const gapMinutes = Math.floor((start - ms(before.scheduleEnd)) / 60000);
+    const travel = await travelMinutes(before.dropoffPostcode, pickup);
+    if (gapMinutes < travel.minutes) {
+      return { ...clashWith(before), type: 'travel_before', gapMinutes, travelMinutes: travel.minutes };
+    }
+  }
+
+  if (after) {
+    const gapMinutes = Math.floor((ms(after.scheduleStart) - end) / 60000);
+    const travel = await travelMinutes(dropoff, after.pickupPostcode);
+    if (gapMinutes < travel.minutes) {
+      return { ...clashWith(after), type: 'travel_after', gapMinutes, travelMinutes: travel.minutes };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Nearest suitable vehicle (lib/fleet.js) that is free for the window.
+ * job: { pickup, dropoff, scheduleStart, scheduleEnd, stops?, vehicleClass?, loadKg?, bookingRef?, holdId? }
+ * → { ok: true, assignment, reason: '', excluded }
+ *   | { ok: true, assignment: null, reason: 'no_vehicle' | 'clash', conflicts?, excluded }
+ *   | { ok: false, error }
+ * opts.entries as for findConflict.
+ */
+async function assignVehicle(job, { entries = null } = {}) {
+  const ranked = await rankVehicles(job);
+  if (!ranked.ok) return { ok: false, error: ranked.error };
+  if (!ranked.candidates.length) {
+    return { ok: true, assignment: null, reason: 'no_vehicle', excluded: ranked.excluded };
+  }
+
+  const conflicts = [];
+  for (const candidate of ranked.candidates) {
+    const conflict = await findConflict({ ...job, vehicleId: candidate.vehicle.id }, { entries });
+    if (!conflict) {
+      return { ok: true, assignment: toAssignment(candidate), reason: '', excluded: ranked.excluded };
+    }
+    conflicts.push({ vehicleId: candidate.vehicle.id, ...conflict });
+  }
+
+  return { ok: true, assignment: null, reason: 'clash', conflicts, excluded: ranked.excluded };
+}
+
+function entryFields(job, assignment) {
+  return {
+    vehicleId: assignment.vehicle.id,
+    depotId: assignment.depot ? assignment.depot.id : '',
+    pickupPostcode: extractPostcode(job.pickup),
+    dropoffPostcode: extractPostcode(job.dropoff),
+    scheduleStart: job.scheduleStart,
+    scheduleEnd: job.scheduleEnd
+  };
+}
+
+async function getHold(holdId) {
+  const id = String(holdId || '');
+  if (!id.startsWith('hold_')) return null;
+  return schedule().get(id);
+}
+
+// A hold that can still be used: held, unexpired, and not someone else's booking
+function usableHold(hold, bookingRef = '') {
+  return !!hold && isBlocking(hold) && hold.status === 'held' && (!hold.bookingRef || hold.bookingRef === bookingRef);
+}
+
+/**
+ * Holds a free slot for `minutes` (SLOT_HOLD_MINUTES by default).
+ * job: { pickup, dropoff, scheduleStart, scheduleEnd }; assignment from assignVehicle.
+ * Passing the holdId of a usable hold moves and extends it rather than
+ * taking a second one.
+ * → { ok: true, hold } | { ok: false, conflict }
+ */
+async function placeHold(job, assignment, { holdId = '', minutes = slotHoldMinutes() } = {}) {
+  const existing = await getHold(holdId);
+  const reuse = usableHold(existing) && !existing.sessionId;
+  const id = reuse ? existing.holdId : `hold_${crypto.randomBytes(18).toString('base64url')}`;
+
+  const fields = entryFields(job, assignment);
+  let result = null;
+
+  // Checked and written under the schedule lock, so two callers can't both
+  // see the slot free and take it
+  await schedule().update(id, async (current) => {
+    if (reuse && (!usableHold(current) || current.sessionId)) {
+      result = { ok: false, conflict: { ...clashWith(current || existing), type: 'overlap' } };
+      return undefined;
+    }
+    const conflict = await findConflict({ ...job, vehicleId: fields.vehicleId, holdId: id });
+    if (conflict) {
+      result = { ok: false, conflict };
+      return undefined;
+    }
+
+    const at = new Date();
+    const hold = {
+      bookingRef: '',
+      holdId: id,
+      ...fields,
+      status: 'held',
+      holdExpiresAt: new Date(at.getTime() + minutes * 60 * 1000).toISOString(),
+      sessionId: '',
+      conflictWith: '',
+      createdAt: reuse ? current.createdAt : at.toISOString(),
+      updatedAt: at.toISOString()
+    };
+    result = { ok: true, hold };
+    return hold;
+  });
+
+  return result;
+}
+
+/**
+ * Ties a hold to its booking and Checkout Session; it then lasts until the
+ * session expires. → the updated hold, or null if it's no longer usable.
+ */
+async function attachHold(holdId, { bookingRef, sessionId = '', expiresAt = '' }) {
+  let attached = null;
+  await schedule().update(String(holdId || ''), (h) => {
+    if (!usableHold(h, bookingRef)) return undefined;
+    attached = {
+      ...h,
+      bookingRef,
+      sessionId: sessionId || h.sessionId || '',
+      holdExpiresAt: expiresAt || h.holdExpiresAt,
+      updatedAt: new Date().toISOString()
+    };
+    return attached;
+  });
+  return attached;
+}
+
+/**
+ * Lets a hold go (checkout cancelled, expired or replaced). Only the
+ * booking it belongs to may release an attached hold.
+ * → { ok: true, hold, changed } | { ok: false, error }
+ */
+async function releaseHold(holdId, { bookingRef = '', reason = '' } = {}) {
+  let result = { ok: false, error: 'Hold not found' };
+  await schedule().update(String(holdId || ''), (h) => {
+    if (!h || !h.holdId) return undefined;
+    if (h.status !== 'held' || (bookingRef && h.bookingRef && h.bookingRef !== bookingRef)) {
+      result = { ok: true, hold: h, changed: false };
+      return undefined;
+    }
+    const next = { ...h, status: 'released', releasedReason: String(reason || ''), updatedAt: new Date().toISOString() };
+    result = { ok: true, hold: next, changed: true };
+    return next;
+  });
+  return result;
+}
+
+function syncPayload(action, entry) {
+  return {
+    action,
+    bookingRef: entry.bookingRef,
+    vehicleId: entry.vehicleId,
+    depot: entry.depotId,
+    pickupPostcode: entry.pickupPostcode,
+    dropoffPostcode: entry.dropoffPostcode,
+    scheduleStart: entry.scheduleStart,
+    scheduleEnd: entry.scheduleEnd
+  };
+}
+
+/**
+ * Books a paid booking's window on its vehicle, converting its hold
+ * (booking.holdId) if it had one. Still records it if it now clashes
+ * (payment is already taken); the clash is returned and kept in
+ * conflictWith for dispatch to sort out.
+ * → { ok: true, entry, conflict } | { ok: false, error }
+ */
+async function reserveWindow(booking) {
+  const b = booking || {};
+  if (!b.bookingRef || !b.vehicle || !b.scheduleStart || !b.scheduleEnd) {
+    return { ok: false, error: 'Booking has no vehicle or schedule window' };
+  }
+
+  const conflict = await findConflict({
+    bookingRef: b.bookingRef,
+    holdId: b.holdId || '',
+    vehicleId: b.vehicle.id,
+    scheduleStart: b.scheduleStart,
+    scheduleEnd: b.scheduleEnd,
+    pickup: b.pickup,
+    dropoff: b.dropoff
+  });
+  if (conflict) {
+    console.warn(`Booking ${b.bookingRef} clashes with ${conflict.bookingRef || conflict.holdId} on ${b.vehicle.id} (${conflict.type}).`);
+  }
+
+  const at = new Date().toISOString();
+  const existing = await schedule().get(b.bookingRef);
+  const entry = {
+    bookingRef: b.bookingRef,
+    ...entryFields(b, b),
+    status: 'booked',
+    conflictWith: conflict ? conflict.bookingRef || conflict.holdId : '',
+    createdAt: existing ? existing.createdAt : at,
+    updatedAt: at
+  };
+  await schedule().put(b.bookingRef, entry);
+
+  if (b.holdId) {
+    await schedule().update(b.holdId, (h) => {
+      if (!h || h.bookingRef !== b.bookingRef || h.status === 'converted') return undefined;
+      return { ...h, status: 'converted', updatedAt: at };
+    });
+  }
+
+  await outbox.send('schedule_sync', syncPayload('reserve', entry), {
+    key: `${b.bookingRef}:reserve`,
+    bookingRef: b.bookingRef
+  });
+
+  return { ok: true, entry, conflict };
+}
+
+/**
+ * Frees a booking's window, and its hold if it still has one (holdId).
+ * → { ok: true, entry, changed } | { ok: false, error }
+ */
+async function releaseWindow(bookingRef, { reason = '', holdId = '' } = {}) {
+  if (holdId) await releaseHold(holdId, { bookingRef, reason });
+
+  let result = { ok: false, error: 'Not scheduled' };
+
+  await schedule().update(String(bookingRef || ''), (e) => {
+    if (!e) return undefined;
+    if (e.status === 'released') {
+      result = { ok: true, entry: e, changed: false };
+      return undefined;
+    }
+    const next = { ...e, status: 'released', releasedReason: String(reason || ''), updatedAt: new Date().toISOString() };
+    result = { ok: true, entry: next, changed: true };
+    return next;
+  });
+
+  if (result.changed) {
+    await outbox.send('schedule_sync', { ...syncPayload('release', result.entry), reason: result.entry.releasedReason }, {
+      key: `${bookingRef}:release`,
+      bookingRef
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  slotHoldMinutes,
+  checkoutHoldMinutes,
+  travelMinutes,
+  listSchedule,
+  findConflict,
+  assignVehicle,
+  getHold,
+  placeHold,
+  attachHold,
+  releaseHold,
+  reserveWindow,
+  releaseWindow
+};
@@ -0,0 +1,513 @@
+/**
+ * lib/series.js
+ * Recurring booking series ("weekly", "fortnightly", custom).
+ *
+ * Checkout books and charges the first job as normal and saves the card
+ * for off-session use. The series records the rule and one entry per
+ * occurrence date:
+ *   booked          first job (paid through Checkout)
+ *   scheduled       future job, charged SERIES_CHARGE_LEAD_DAYS before the day
+ *   unavailable     slot clashed when the series was planned (not charged)
+ *   skipped         customer/ops skipped it (can be un-skipped until charged)
+ *   cancelled       cancelled for good
+ *   charging        off-session charge in progress
+ *   charged         booking created and paid (bookingRef)
+ *   payment_failed  charge declined or needs the customer; dispatch is told
+ *   missed          its charge window passed without a charge
+ *
+ * Series status: pending_payment → active → completed, or cancelled.
+ * needs_review: a custom repeat we couldn't read; only the first job is
+ * booked until ops sets a rule (applySeriesAction 'set_rule').
+ *
+ * Customers manage a series with the manage token returned at checkout.
+ */
+
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { londonParts, addDays } = require('./time');
+const { safeEqual } = require('./ops-auth');
+const { generateOccurrences, describeRule, normaliseRule } = require('./recurrence');
+const { checkAvailability } = require('./availability');
+const { assignVehicle } = require('./scheduler');
+const { priceBooking } = require('./quote');
+const { computeScheduleWindow } = require('./schedule');
+const { bookingFieldsFromRequest, createBooking, transitionBooking } = require('./bookings');
+const { getStripe } = require('./stripe');
+const { announcePaidJob } = require('./announce');
+const { autoAssignDriver } = require('./drivers');
+const outbox = require('./outbox');
+
+const SERIES_STATUSES = ['pending_payment', 'active', 'needs_review', 'completed', 'cancelled'];
+const OPEN_OCCURRENCE = ['scheduled', 'skipped', 'unavailable'];
+const DONE_OCCURRENCE = ['booked', 'charged', 'cancelled', 'payment_failed', 'missed', 'unavailable', 'skipped'];
+const MAX_ID_ATTEMPTS = 20;
+
+// Request fields carried from the first booking to every later occurrence
+const TEMPLATE_FIELDS = [
+  'company', 'industry', 'serviceType', 'immediateDelivery', 'pickup', 'stops', 'dropoff',
+  'pickupAddress', 'dropoffAddress', 'serviceTier', 'serviceArea', 'vehicleClass',
+  'miles', 'email', 'poNumber', 'whenTime', 'notes', 'accountCode'
+];
+
+function series() {
+  return getCollection('series');
+}
+
+function chargeLeadDays() {
+  const n = Number(process.env.SERIES_CHARGE_LEAD_DAYS);
+  return Number.isInteger(n) && n >= 0 ? n : 2;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// GS-YYYYMMDD-NNNN, dated in UK time (same shape as booking refs)
+function makeSeriesId(now = new Date()) {
+  const ymd = londonParts(now).date.replace(/-/g, '');
+  return `GS-${ymd}-${String(Math.floor(1000 + Math.random() * 9000))}`;
+}
+
+function templateFrom(body) {
+  const t = {};
+  for (const k of TEMPLATE_FIELDS) if (body[k] !== undefined) t[k] = body[k];
+  return t;
+}
+
+function historyEntry(action, { actor = 'system', date = '', note = '' } = {}) {
+  return { action, date, at: new Date().toISOString(), by: actor, note: String(note || '') };
+}
+
+/**
+ * Checks each date after the first against availability.
+ * Returns occurrence entries (not including the first job).
+ */
+async function planOccurrences(template, dates) {
+  const planned = [];
+  for (const date of dates) {
+    const check = await checkAvailability({ ...template, whenDate: date });
+    const entry = { date, status: 'scheduled', bookingRef: '', availability: 'available', error: '' };
+
+    if (check.reason === 'error') {
+      entry.availability = 'unchecked';
+    } else if (!check.available) {
+      entry.status = 'unavailable';
+      entry.availability = check.reason;
+    }
+    planned.push(entry);
+  }
+  return planned;
+}
+
+/**
+ * Creates a series for a checkout request. `rule` is null when the custom
+ * repeat needs review. Returns { series, manageToken }.
+ */
+async function createSeries({ body, rule, firstBookingRef, repeatType, customRepeatDetails = '' }) {
+  const template = templateFrom(body);
+  const firstDate = String(body.whenDate);
+  const later = rule ? await planOccurrences(template, generateOccurrences(firstDate, rule).slice(1)) : [];
+
+  const manageToken = crypto.randomBytes(24).toString('base64url');
+  const at = new Date().toISOString();
+
+  for (let i = 0; i < MAX_ID_ATTEMPTS; i++) {
+    const seriesId = makeSeriesId();
+    const record = {
+      seriesId,
+      status: 'pending_payment',
+      repeatType: String(repeatType || ''),
+      customRepeatDetails: String(customRepeatDetails || ''),
+      rule,
+      ruleText: rule ? describeRule(rule) : 'Custom (awaiting review)',
+      template,
+      occurrences: [
+        { date: firstDate, status: 'booked', bookingRef: firstBookingRef, availability: 'checkout', error: '' },
+        ...later
+      ],
+      stripe: { customerId: '', paymentMethodId: '' },
+      manageTokenHash: hashToken(manageToken),
+      createdAt: at,
+      updatedAt: at,
+      history: [historyEntry('created', { actor: 'checkout' })]
+    };
+
+    if (await series().insert(seriesId, record)) return { series: record, manageToken };
+  }
+
+  throw new Error('Could not allocate a unique series id');
+}
+
+async function getSeries(seriesId) {
+  return series().get(String(seriesId || ''));
+}
+
+async function listSeries({ status, email } = {}) {
+  const all = await series().list(
+    (s) => (!status || s.status === status) &&
+      (!email || String(s.template.email || '').toLowerCase() === String(email).toLowerCase())
+  );
+  return all.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+function verifyManageToken(record, token) {
+  return !!(record && token && safeEqual(hashToken(token), record.manageTokenHash));
+}
+
+// Public view for customers (no token hash, no card ids)
+function publicSeries(record) {
+  if (!record) return null;
+  const { manageTokenHash, stripe, history, ...rest } = record;
+  return rest;
+}
+
+function withStatusFromOccurrences(record) {
+  if (record.status !== 'active') return record;
+  const finished = record.occurrences.every((o) => DONE_OCCURRENCE.includes(o.status));
+  const future = record.occurrences.some((o) => o.status === 'skipped' && o.date >= londonParts(new Date()).date);
+  return finished && !future ? { ...record, status: 'completed' } : record;
+}
+
+/**
+ * First payment succeeded: store the customer + card and start charging.
+ */
+async function activateSeries(seriesId, { customerId = '', paymentMethodId = '' } = {}) {
+  let result = { ok: false, error: 'Series not found' };
+
+  await series().update(String(seriesId || ''), (s) => {
+    if (!s) return undefined;
+    if (s.status !== 'pending_payment') {
+      result = { ok: true, series: s, changed: false };
+      return undefined;
+    }
+
+    const next = {
+      ...s,
+      status: s.rule ? 'active' : 'needs_review',
+      stripe: { customerId, paymentMethodId },
+      updatedAt: new Date().toISOString(),
+      history: [...s.history, historyEntry('activated', { actor: 'stripe_webhook' })]
+    };
+    if (!customerId || !paymentMethodId) {
+      console.warn(`Series ${seriesId} has no saved card; later jobs will fail to charge.`);
+    }
+    result = { ok: true, series: next, changed: true };
+    return next;
+  });
+
+  return result;
+}
+
+async function cancelSeries(seriesId, { actor = 'system', note = '' } = {}) {
+  return applySeriesAction(seriesId, { action: 'cancel_series', actor, note });
+}
+
+/**
+ * Customer/ops changes to a series.
+ *   skip              { date }  scheduled/unavailable → skipped
+ *   unskip            { date }  skipped → scheduled (future dates only)
+ *   cancel_occurrence { date }  scheduled/skipped/unavailable → cancelled
+ *   cancel_series               every open occurrence → cancelled
+ *   set_rule          { rule }  ops only: (re)plan dates after the first job
+ * Already-charged jobs are left alone; cancel/refund those as bookings.
+ * Returns { ok, series } or { ok: false, error, status }.
+ */
+async function applySeriesAction(seriesId, { action, date = '', rule = null, actor = 'customer', note = '' } = {}) {
+  const id = String(seriesId || '');
+  const today = londonParts(new Date()).date;
+
+  // set_rule plans new dates (availability calls) outside the store lock
+  let planned = null;
+  let normalised = null;
+  if (action === 'set_rule') {
+    const current = await getSeries(id);
+    if (!current) return { ok: false, status: 404, error: 'Series not found' };
+    const first = current.occurrences[0].date;
+    const n = normaliseRule(rule, first);
+    if (!n.ok) return { ok: false, status: 400, error: n.error };
+    normalised = n.rule;
+    planned = await planOccurrences(
+      current.template,
+      generateOccurrences(first, normalised).slice(1).filter((d) => d > today)
+    );
+  }
+
+  let result = null;
+
+  await series().update(id, (s) => {
+    if (!s) {
+      result = { ok: false, status: 404, error: 'Series not found' };
+      return undefined;
+    }
+    if (s.status === 'cancelled' || s.status === 'completed') {
+      result = { ok: false, status: 409, error: `Series is ${s.status}` };
+      return undefined;
+    }
+
+    let occurrences = s.occurrences;
+    let extra = {};
+
+    const editOne = (allowed, to) => {
+      const idx = occurrences.findIndex((o) => o.date === date);
+      if (idx === -1) return `No occurrence on ${date}`;
+      const occ = occurrences[idx];
+      if (!allowed.includes(occ.status)) return `Occurrence on ${date} is ${occ.status}`;
+      if (to === 'scheduled' && date <= today) return `Occurrence on ${date} is in the past`;
+      occurrences = occurrences.map((o, i) => (i === idx ? { ...o, status: to } : o));
+      return '';
+    };
+
+    let error = '';
+    switch (action) {
+      case 'skip':
+        error = editOne(['scheduled', 'unavailable'], 'skipped');
+        break;
+      case 'unskip':
+        error = editOne(['skipped'], 'scheduled');
+        break;
+      case 'cancel_occurrence':
+        error = editOne(OPEN_OCCURRENCE, 'cancelled');
+        break;
+      case 'cancel_series':
+        occurrences = occurrences.map((o) => (OPEN_OCCURRENCE.includes(o.status) ? { ...o, status: 'cancelled' } : o));
+        extra = { status: 'cancelled' };
+        break;
+      case 'set_rule': {
+        // Keep history (charged/past jobs); replace anything still open
+        const keep = occurrences.filter((o) => !OPEN_OCCURRENCE.includes(o.status) || o.date <= today);
+        const taken = new Set(keep.map((o) => o.date));
+        occurrences = [...keep, ...planned.filter((o) => !taken.has(o.date))]
+          .sort((a, b) => a.date.localeCompare(b.date));
+        extra = {
+          rule: normalised,
+          ruleText: describeRule(normalised),
+          status: s.status === 'needs_review' ? 'active' : s.status
+        };
+        break;
+      }
+      default:
+        error = `Unknown action: ${action}`;
+    }
+
+    if (error) {
+      result = { ok: false, status: 409, error };
+      return undefined;
+    }
+
+    const next = withStatusFromOccurrences({
+      ...s,
+      ...extra,
+      occurrences,
+      updatedAt: new Date().toISOString(),
+      history: [...s.history, historyEntry(action, { actor, date, note })]
+    });
+    result = { ok: true, series: next };
+    return next;
+  });
+
+  return result;
+}
+
+async function setOccurrence(seriesId, date, patch) {
+  return series().update(seriesId, (s) => {
+    if (!s) return undefined;
+    const occurrences = s.occurrences.map((o) => (o.date === date ? { ...o, ...patch } : o));
+    return withStatusFromOccurrences({ ...s, occurrences, updatedAt: new Date().toISOString() });
+  });
+}
+
+async function alertDispatch(key, text) {
+  await outbox.send('telegram', { text }, { key });
+}
+
+/**
+ * Books and charges one occurrence off-session. Never throws; failures are
+ * recorded on the occurrence and sent to dispatch.
+ */
+async function chargeOccurrence(s, occ) {
+  const body = { ...s.template, whenDate: occ.date };
+  const key = `series:${s.seriesId}:${occ.date}`;
+
+  const fail = async (error, bookingRef = '') => {
+    await setOccurrence(s.seriesId, occ.date, { status: 'payment_failed', error, bookingRef });
+    if (bookingRef) await transitionBooking(bookingRef, 'cancelled', { actor: 'series', note: `payment failed: ${error}` });
+    await alertDispatch(`${key}:failed`,
+`⚠️ Recurring job not charged
+Series: ${s.seriesId}
+Date: ${occ.date} ${s.template.whenTime || ''}
+Email: ${s.template.email || 'unknown'}
+Reason: ${error}`);
+    return { ok: false, error };
+  };
+
+  const pricing = priceBooking(body);
+  if (!pricing.ok) return fail(pricing.error);
+  const priced = pricing.priced;
+
+  const window = computeScheduleWindow({
+    whenDate: occ.date,
+    whenTime: body.whenTime,
+    miles: priced.effectiveMiles,
+    stops: (body.stops || []).length
+  });
+  if (!window.scheduleEnd) return fail('Invalid date/time');
+
+  if (!s.stripe.customerId || !s.stripe.paymentMethodId) return fail('No saved card');
+
+  // Checked again now: the slot may have been taken since the series was planned
+  const assigned = await assignVehicle({
+    pickup: body.pickup,
+    dropoff: body.dropoff,
+    ...window,
+    stops: (body.stops || []).length,
+    vehicleClass: body.vehicleClass || ''
+  });
+  if (!assigned.ok || assigned.reason === 'no_vehicle') return fail('No vehicle available');
+  if (assigned.reason === 'clash') return fail('Slot already booked');
+  const assignment = assigned.assignment;
+
+  const booking = await createBooking(
+    {
+      ...bookingFieldsFromRequest(body, priced, window),
+      seriesId: s.seriesId,
+      vehicle: assignment.vehicle,
+      depot: assignment.depot
+    },
+    { actor: 'series' }
+  );
+
+  let pi;
+  try {
+    pi = await getStripe().paymentIntents.create({
+      amount: priced.amountPence,
+      currency: 'gbp',
+      customer: s.stripe.customerId,
+      payment_method: s.stripe.paymentMethodId,
+      off_session: true,
+      confirm: true,
+      description: `Gilead Courier Booking ${booking.bookingRef} (series ${s.seriesId})`,
+      metadata: {
+        bookingRef: booking.bookingRef,
+        seriesId: s.seriesId,
+        occurrenceDate: occ.date,
+        pricingRuleVersion: priced.pricingRuleVersion,
+        calculatedPrice: String(priced.total)
+      }
+    }, { idempotencyKey: `${key}:${booking.bookingRef}` });
+  } catch (err) {
+    // Declines and authentication_required land here
+    return fail(err?.raw?.message || err?.message || 'Charge failed', booking.bookingRef);
+  }
+
+  if (pi.status !== 'succeeded') {
+    return fail(`Payment ${pi.status}`, booking.bookingRef);
+  }
+
+  const amountPaid = pi.amount_received / 100;
+  const moved = await transitionBooking(booking.bookingRef, 'paid', {
+    actor: 'series',
+    patch: {
+      amountPaid,
+      currency: 'GBP',
+      stripe: { paymentIntent: pi.id, livemode: !!pi.livemode }
+    }
+  });
+  await setOccurrence(s.seriesId, occ.date, { status: 'charged', bookingRef: booking.bookingRef, error: '' });
+  const driver = await autoAssignDriver((moved && moved.booking) || booking);
+
+  await announcePaidJob({
+    source: 'series',
+    mode: pi.livemode ? 'live' : 'test',
+    bookingRef: booking.bookingRef,
+    paymentIntent: pi.id,
+    seriesId: s.seriesId,
+    repeat: s.ruleText,
+    email: booking.email,
+    amountPaid,
+    currency: 'GBP',
+    pickup: booking.pickup,
+    dropoff: booking.dropoff,
+    pickupAddress: booking.pickupAddress,
+    dropoffAddress: booking.dropoffAddress,
+    stops: booking.stops,
+    serviceArea: booking.serviceArea,
+    vehicle: booking.vehicle,
+    depot: booking.depot,
+    driver,
+    scheduleConflict: (moved && moved.schedule && moved.schedule.conflict) || null,
+    miles: String(booking.milesOneWay),
+    whenDate: booking.whenDate,
+    whenTime: booking.whenTime,
+    scheduleStart: booking.scheduleStart,
+    scheduleEnd: booking.scheduleEnd,
+    notes: booking.notes
+  }, { key });
+
+  return { ok: true, bookingRef: booking.bookingRef };
+}
+
+/**
+ * Cron: charges every scheduled occurrence within the lead window.
+ * Returns { charged, failed, missed }.
+ */
+async function chargeDueOccurrences({ now = new Date() } = {}) {
+  const today = londonParts(now).date;
+  const horizon = addDays(today, chargeLeadDays());
+  const summary = { charged: 0, failed: 0, missed: 0 };
+
+  for (const s of await listSeries({ status: 'active' })) {
+    for (const occ of s.occurrences) {
+      if (occ.status !== 'scheduled' || occ.date > horizon) continue;
+
+      if (occ.date < today) {
+        await setOccurrence(s.seriesId, occ.date, { status: 'missed', error: 'Charge window passed' });
+        summary.missed++;
+        continue;
+      }
+
+      // Claim it so an overlapping cron run can't charge it twice
+      let claimed = false;
+      await series().update(s.seriesId, (cur) => {
+        const o = cur && cur.status === 'active' && cur.occurrences.find((x) => x.date === occ.date);
+        if (!o || o.status !== 'scheduled') return undefined;
+        claimed = true;
+        return {
+          ...cur,
+          occurrences: cur.occurrences.map((x) => (x.date === occ.date ? { ...x, status: 'charging' } : x))
+        };
+      });
+      if (!claimed) continue;
+
+      try {
+        const r = await chargeOccurrence(s, occ);
+        if (r.ok) summary.charged++;
+        else summary.failed++;
+      } catch (err) {
+        console.error(`Series ${s.seriesId} ${occ.date} charge error:`, err);
+        await setOccurrence(s.seriesId, occ.date, { status: 'payment_failed', error: String(err?.message || err) });
+        summary.failed++;
+      }
+    }
+
+    // Nothing left to charge → completed
+    await series().update(s.seriesId, (cur) => {
+      const next = cur && withStatusFromOccurrences(cur);
+      return next && next.status !== cur.status ? next : undefined;
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  SERIES_STATUSES,
+  createSeries,
+  getSeries,
+  listSeries,
+  publicSeries,
+  verifyManageToken,
+  activateSeries,
+  cancelSeries,
+  applySeriesAction,
+  chargeDueOccurrences
+};
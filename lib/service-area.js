@@ -0,0 +1,102 @@
+/**
+ * lib/service-area.js
+ * Service-area tiers: how far a van has to travel from the nearest depot
+ * (lib/fleet.js) to reach the pickup.
+ *
+ * Tiers (road miles, nearest depot → pickup):
+ * - TIER_1_CORE           up to 90
+ * - TIER_2_EXTENDED       up to 140
+ * - TIER_3_EXCEPTION      up to 180
+ * - TIER_X_OUT_OF_RANGE   beyond that
+ *
+ * Tiers listed in SERVICE_AREA_MANUAL_TIERS (comma-separated, default
+ * TIER_X_OUT_OF_RANGE) can't be booked online and go to a manual quote.
+ * Pricing profiles may add a positioning charge per tier (positioningAdd
+ * in lib/pricing.js). The tier always follows the nearest depot, even if
+ * the vehicle assigned to the job comes from further away.
+ *
+ * If routing is down entirely the tier is unknown: the job is allowed
+ * through without a positioning charge (status 'unverified'), as for
+ * mileage — we don't block a sale on an outage.
+ */
+
+const { extractPostcode } = require('./postcodes');
+const { depotDistances } = require('./fleet');
+
+const TIERS = [
+  { id: 'TIER_1_CORE', maxMiles: 90 },
+  { id: 'TIER_2_EXTENDED', maxMiles: 140 },
+  { id: 'TIER_3_EXCEPTION', maxMiles: 180 },
+  { id: 'TIER_X_OUT_OF_RANGE', maxMiles: Infinity }
+];
+
+const MANUAL_QUOTE_MESSAGE =
+  'This pickup is outside our online booking area. Please contact dispatch for a manual quote.';
+
+function manualTiers() {
+  const configured = String(process.env.SERVICE_AREA_MANUAL_TIERS || '')
+    .split(',')
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  return configured.length ? configured : ['TIER_X_OUT_OF_RANGE'];
+}
+
+function getTier(miles) {
+  return TIERS.find((t) => miles <= t.maxMiles).id;
+}
+
+function isManualTier(tier) {
+  return !!tier && manualTiers().includes(tier);
+}
+
+/**
+ * Positioning distance and tier for a pickup (free text or postcode).
+ * Returns { ok: true, tier, manual, positioningMiles, provider, approximate, status, depot, basePostcode }
+ *   status: 'verified' | 'unverified' (routing unavailable; tier '')
+ * or { ok: false, status: 400, error } for a missing / invalid postcode.
+ */
+async function resolveServiceArea(pickup) {
+  const postcode = extractPostcode(pickup);
+  if (!postcode) return { ok: false, status: 400, error: 'Please include a full UK postcode in the pickup address' };
+
+  const dist = await depotDistances(postcode);
+  if (!dist.ok) return { ok: false, status: 400, error: dist.error };
+
+  const nearest = dist.distances[0];
+  if (!nearest) {
+    console.warn('Service area not checked; routing unavailable for every depot.');
+    return {
+      ok: true,
+      tier: '',
+      manual: false,
+      positioningMiles: null,
+      provider: '',
+      approximate: false,
+      status: 'unverified',
+      depot: null,
+      basePostcode: ''
+    };
+  }
+
+  const tier = getTier(nearest.miles);
+
+  return {
+    ok: true,
+    tier,
+    manual: isManualTier(tier),
+    positioningMiles: nearest.miles,
+    provider: nearest.provider,
+    approximate: nearest.approximate,
+    status: 'verified',
+    depot: { id: nearest.depot.id, name: nearest.depot.name || nearest.depot.id, postcode: nearest.depot.postcode },
+    basePostcode: nearest.depot.postcode
+  };
+}
+
+module.exports = {
+  TIERS,
+  MANUAL_QUOTE_MESSAGE,
+  getTier,
+  isManualTier,
+  resolveServiceArea
+};
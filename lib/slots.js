@@ -0,0 +1,134 @@
+/**
+ * lib/slots.js
+ * Bookable times for a job over a run of days, each priced, for the
+ * booking form's slot picker (/api/v1/slots).
+ *
+ * Candidate "needed by" times (whenTime, as checkout takes it) run every
+ * SLOT_INTERVAL_MINUTES (default 30) from SLOT_FIRST_TIME to SLOT_LAST_TIME
+ * (default 06:30–22:00, Europe/London). A time is bookable when a vehicle
+ * is free for its schedule window (lib/scheduler.js: hours, capacity,
+ * booked windows, other customers' holds, travel between jobs) and the
+ * window starts at least SLOT_LEAD_MINUTES (default 60) from now.
+ *
+ * Prices come from lib/quote.js, so they match /api/v1/quote and checkout
+ * for the same time.
+ */
+
+const { londonParts, addDays } = require('./time');
+const { computeScheduleWindow } = require('./schedule');
+const { priceBooking } = require('./quote');
+const { assignVehicle, listSchedule } = require('./scheduler');
+
+const MAX_DAYS = 14;
+
+function timeEnv(name, fallback) {
+  const v = String(process.env[name] || '').trim();
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(v) ? v : fallback;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function toHHMM(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function candidateTimes() {
+  const n = Number(process.env.SLOT_INTERVAL_MINUTES);
+  const step = Number.isInteger(n) && n >= 15 ? n : 30;
+  const first = toMinutes(timeEnv('SLOT_FIRST_TIME', '06:30'));
+  const last = toMinutes(timeEnv('SLOT_LAST_TIME', '22:00'));
+
+  const times = [];
+  for (let t = first; t <= last; t += step) times.push(toHHMM(t));
+  return times;
+}
+
+function leadMs() {
+  const n = Number(process.env.SLOT_LEAD_MINUTES);
+  return (Number.isFinite(n) && n >= 0 ? n : 60) * 60 * 1000;
+}
+
+/**
+ * body: a quote-shaped request with server-side miles and serviceTier
+ *       (pickup, dropoff, stops, miles, industry, serviceType, immediateDelivery,
+ *        accountCode?, email?, vehicleClass?)
+ * range: { fromDate, toDate, holdId? } — at most MAX_DAYS days
+ *
+ * → { ok: true, days: [{ date, slots: [{ whenTime, scheduleStart, scheduleEnd, total }] }], pricingRuleVersion }
+ *   | { ok: false, status, error, manual? }
+ */
+async function findSlots(body, { fromDate, toDate, holdId = '', now = new Date() }) {
+  const dates = [];
+  for (let d = fromDate; d && d <= toDate; d = addDays(d, 1)) {
+    dates.push(d);
+    if (dates.length > MAX_DAYS) {
+      return { ok: false, status: 400, error: `Search at most ${MAX_DAYS} days at a time` };
+    }
+  }
+  if (!dates.length) return { ok: false, status: 400, error: 'Invalid date range' };
+
+  const today = londonParts(now).date;
+  const earliest = now.getTime() + leadMs();
+  const times = candidateTimes();
+  const stopCount = (body.stops || []).length;
+
+  // One read of the schedule for the whole range (plus a day either side for travel)
+  const entries = await listSchedule({
+    from: new Date(Date.parse(`${addDays(dates[0], -1)}T00:00:00Z`)).toISOString(),
+    to: new Date(Date.parse(`${addDays(dates[dates.length - 1], 2)}T00:00:00Z`)).toISOString()
+  });
+
+  const days = [];
+  let pricingRuleVersion = '';
+
+  for (const date of dates) {
+    const day = { date, slots: [] };
+    days.push(day);
+    if (date < today) continue;
+
+    for (const whenTime of times) {
+      const pricing = priceBooking({ ...body, whenDate: date, whenTime }, { now });
+      if (!pricing.ok) {
+        // Manual quotes (e.g. too far to price online) apply to every time
+        if (pricing.manual) return { ok: false, status: 400, error: pricing.error, manual: true };
+        continue;
+      }
+
+      const window = computeScheduleWindow({
+        whenDate: date,
+        whenTime,
+        miles: pricing.priced.effectiveMiles,
+        stops: stopCount
+      });
+      if (!window.scheduleStart || Date.parse(window.scheduleStart) < earliest) continue;
+
+      const assigned = await assignVehicle(
+        {
+          pickup: body.pickup,
+          dropoff: body.dropoff,
+          ...window,
+          stops: stopCount,
+          vehicleClass: body.vehicleClass || '',
+          holdId
+        },
+        { entries }
+      );
+      if (!assigned.ok) return { ok: false, status: 400, error: assigned.error };
+      if (!assigned.assignment) continue;
+
+      pricingRuleVersion = pricing.priced.pricingRuleVersion;
+      day.slots.push({ whenTime, ...window, total: pricing.priced.total });
+    }
+  }
+
+  return { ok: true, days, pricingRuleVersion };
+}
+
+module.exports = {
+  MAX_DAYS,
+  candidateTimes,
+  findSlots
+};
@@ -0,0 +1,67 @@
+/**
+ * lib/stops.js
+ * Intermediate stops on a route.
+ *
+ * A job runs pickup → stops[0] → … → stops[n-1] → dropoff. Each stop is
+ *   { address, action: 'deliver' | 'collect', notes }
+ * e.g. one collection with three drops = pickup, two "deliver" stops and
+ * the final drop-off; a return via a second site = a "collect" stop on a
+ * return_same_day job. Every stop needs a full UK postcode so it can be
+ * routed.
+ */
+
+const { extractPostcode } = require('./postcodes');
+
+const MAX_STOPS = 8;
+const ACTIONS = ['deliver', 'collect'];
+
+/**
+ * Validates the request's `stops` (array, or absent for a simple A → B job).
+ * Returns { ok: true, stops } or { ok: false, error }.
+ */
+function normaliseStops(raw) {
+  if (raw == null || raw === '') return { ok: true, stops: [] };
+  if (!Array.isArray(raw)) return { ok: false, error: 'stops must be a list' };
+  if (raw.length > MAX_STOPS) return { ok: false, error: `At most ${MAX_STOPS} stops per booking` };
+
+  const stops = [];
+  for (let i = 0; i < raw.length; i++) {
+    const s = raw[i] && typeof raw[i] === 'object' ? raw[i] : { address: raw[i] };
+    const address = String(s.address || '').trim();
+    const postcode = extractPostcode(address);
+    if (!address || !postcode) {
+      return { ok: false, error: `Stop ${i + 1}: please include a full UK postcode` };
+    }
+
+    const action = String(s.action || 'deliver').trim().toLowerCase();
+    if (!ACTIONS.includes(action)) {
+      return { ok: false, error: `Stop ${i + 1}: action must be deliver or collect` };
+    }
+
+    stops.push({ address: address.slice(0, 300), postcode, action, notes: String(s.notes || '').trim().slice(0, 300) });
+  }
+
+  return { ok: true, stops };
+}
+
+// ?via= may repeat (?via=A&via=B) or be comma-separated, in visiting order
+function viaList(q) {
+  return [].concat(q || [])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Postcodes of a request's stops (already-normalised or raw), in order
+function stopPostcodes(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .map((s) => extractPostcode(s && typeof s === 'object' ? s.address : s))
+    .filter(Boolean);
+}
+
+module.exports = {
+  MAX_STOPS,
+  normaliseStops,
+  stopPostcodes,
+  viaList
+};
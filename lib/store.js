@@ -0,0 +1,248 @@
+/**
+ * lib/store.js
+ * Minimal pluggable record store used by bookings and other server state.
+ *
+ * A "collection" is a keyed set of JSON records with an async API:
+ *   get(id) · insert(id, record) · put(id, record) · update(id, fn) · remove(id) · list(filter?)
+ *
+ * insert() refuses to overwrite (returns false), which is what gives us
+ * unique booking references. update() is a read-modify-write under the
+ * collection lock: fn(current) returns the new record, or undefined to
+ * leave it unchanged.
+ *
+ * Adapters (DATA_STORE):
+ * - "file"   (default outside production) one JSON file per collection in
+ *            DATA_DIR (default /tmp/gilead-data). Fine for local use and a
+ *            single instance; /tmp on Vercel is per-instance and not durable.
+ * - "kv"     shared: Upstash Redis / Vercel KV over its REST API
+ *            (KV_REST_API_URL, KV_REST_API_TOKEN), one key per collection
+ *            under KV_PREFIX (default "gilead:"), locks with SET NX PX.
+ * - "memory" process memory only (tests / throwaway previews).
+ * Register another adapter (e.g. a hosted database) with registerAdapter().
+ *
+ * The outbox, webhook dedupe and slot holds only work if every instance
+ * sees the same records, so production (VERCEL_ENV=production) refuses to
+ * start without DATA_STORE set rather than fall back to per-instance files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_RETRY_MS = 25;
+const KV_TIMEOUT_MS = 5000;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ---------- memory adapter ----------
+function memoryAdapter() {
+  const data = new Map();
+  return {
+    async load(name) {
+      return { ...(data.get(name) || {}) };
+    },
+    async save(name, records) {
+      data.set(name, { ...records });
+    },
+    async withLock(name, fn) {
+      return fn();
+    }
+  };
+}
+
+// ---------- file adapter ----------
+function fileAdapter(dir) {
+  function fileFor(name) {
+    return path.join(dir, `${name}.json`);
+  }
+
+  async function acquire(lockFile) {
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx');
+        fs.closeSync(fd);
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        try {
+          const age = Date.now() - fs.statSync(lockFile).mtimeMs;
+          if (age > LOCK_STALE_MS) fs.unlinkSync(lockFile);
+        } catch (_) {}
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  return {
+    async load(name) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(name), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return {};
+        throw e;
+      }
+    },
+    async save(name, records) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${fileFor(name)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+      fs.renameSync(tmp, fileFor(name));
+    },
+    async withLock(name, fn) {
+      fs.mkdirSync(dir, { recursive: true });
+      const lockFile = `${fileFor(name)}.lock`;
+      await acquire(lockFile);
+      try {
+        return await fn();
+      } finally {
+        try { fs.unlinkSync(lockFile); } catch (_) {}
+      }
+    }
+  };
+}
+
+// ---------- kv adapter (Upstash Redis REST) ----------
+// Deletes the lock only if we still hold it
+const RELEASE_LOCK = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+function kvAdapter({ url, token, prefix }) {
+  if (!url || !token) throw new Error('DATA_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+
+  async function command(...args) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(KV_TIMEOUT_MS)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || `HTTP ${resp.status}`}`);
+    return data.result;
+  }
+
+  return {
+    async load(name) {
+      const raw = await command('GET', `${prefix}${name}`);
+      return raw ? JSON.parse(raw) : {};
+    },
+    async save(name, records) {
+      await command('SET', `${prefix}${name}`, JSON.stringify(records));
+    },
+    async withLock(name, fn) {
+      const lockKey = `${prefix}${name}:lock`;
+      const owner = crypto.randomUUID();
+      // Expires by itself, like a stale lock file
+      while ((await command('SET', lockKey, owner, 'NX', 'PX', String(LOCK_STALE_MS))) !== 'OK') {
+        await sleep(LOCK_RETRY_MS);
+      }
+      try {
+        return await fn();
+      } finally {
+        await command('EVAL', RELEASE_LOCK, '1', lockKey, owner).catch((e) => console.error(`KV lock ${lockKey} not released:`, e));
+      }
+    }
+  };
+}
+
+const adapterFactories = {
+  file: () => fileAdapter(process.env.DATA_DIR || path.join(os.tmpdir(), 'gilead-data')),
+  kv: () => kvAdapter({
+    url: process.env.KV_REST_API_URL,
+    token: process.env.KV_REST_API_TOKEN,
+    prefix: process.env.KV_PREFIX || 'gilead:'
+  }),
+  memory: () => memoryAdapter()
+};
+
+let adapter = null;
+
+function registerAdapter(name, factory) {
+  adapterFactories[name] = factory;
+}
+
+function getAdapter() {
+  if (adapter) return adapter;
+  const kind = process.env.DATA_STORE || (process.env.VERCEL_ENV === 'production' ? '' : 'file');
+  if (!kind) {
+    throw new Error('DATA_STORE is not set: production needs a shared store (e.g. "kv"), not per-instance /tmp files');
+  }
+  const factory = adapterFactories[kind];
+  if (!factory) throw new Error(`Unknown DATA_STORE adapter: ${kind}`);
+  adapter = factory();
+  return adapter;
+}
+
+// In-process queue so concurrent requests in one instance don't interleave
+const queues = new Map();
+function serialise(name, fn) {
+  const prev = queues.get(name) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  queues.set(name, next.catch(() => {}));
+  return next;
+}
+
+function getCollection(name) {
+  const a = () => getAdapter();
+  const locked = (fn) => serialise(name, () => a().withLock(name, fn));
+
+  return {
+    async get(id) {
+      const records = await a().load(name);
+      return records[id] || null;
+    },
+
+    async insert(id, record) {
+      return locked(async () => {
+        const records = await a().load(name);
+        if (records[id]) return false;
+        records[id] = record;
+        await a().save(name, records);
+        return true;
+      });
+    },
+
+    async put(id, record) {
+      return locked(async () => {
+        const records = await a().load(name);
+        records[id] = record;
+        await a().save(name, records);
+        return record;
+      });
+    },
+
+    async update(id, fn) {
+      return locked(async () => {
+        const records = await a().load(name);
+        const next = await fn(records[id] || null);
+        if (next === undefined) return records[id] || null;
+        records[id] = next;
+        await a().save(name, records);
+        return next;
+      });
+    },
+
+    async remove(id) {
+      return locked(async () => {
+        const records = await a().load(name);
+        if (!records[id]) return false;
+        delete records[id];
+        await a().save(name, records);
+        return true;
+      });
+    },
+
+    async list(filter) {
+      const records = Object.values(await a().load(name));
+      return typeof filter === 'function' ? records.filter(filter) : records;
+    }
+  };
+}
+
+module.exports = {
+  getCollection,
+  registerAdapter
+};
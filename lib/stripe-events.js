@@ -0,0 +1,351 @@
+/**
+ * lib/stripe-events.js
+ * Stripe event handling for the webhook, with de-duplication.
+ *
+ * Stripe delivers at-least-once, so the same event (or a second event for
+ * the same Checkout Session) can arrive more than once. Before any side
+ * effects we claim:
+ * - the event id             (collection "stripe_events")
+ * - the Checkout Session id  (collection "stripe_sessions", completed only)
+ * A replay of something already processed is acknowledged without running
+ * the handler again. If the handler fails, both claims are released so
+ * Stripe's retry can process it.
+ *
+ * processStripeEvent(event, { force: true }) deliberately re-runs an event
+ * (see /api/ops/stripe-events).
+ *
+ * Telegram and Make deliveries go through lib/outbox.js keyed by event id,
+ * so a re-run never sends them twice; resend via /api/ops/outbox instead.
+ *
+ * Marking the booking paid turns its checkout slot hold into a booked
+ * window; an expired session cancels the booking and frees the hold
+ * (lib/bookings.js → lib/scheduler.js).
+ */
+
+const { getStripe } = require('./stripe');
+const { getCollection } = require('./store');
+const { computeScheduleWindow } = require('./schedule');
+const { transitionBooking } = require('./bookings');
+const { autoAssignDriver } = require('./drivers');
+const outbox = require('./outbox');
+const { announcePaidJob } = require('./announce');
+const { activateSeries, cancelSeries } = require('./series');
+const { addressFromMetadata } = require('./address-verify');
+
+// A claim older than this is treated as a crashed attempt and can be retaken
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// JSON-valued metadata (mileage, service_area); null if absent or unreadable
+function jsonMetadata(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+function toISOOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+// Moves the booking (if we have one for this ref) and logs anything odd; never throws
+async function moveBooking(bookingRef, status, opts) {
+  if (!bookingRef) {
+    console.warn(`No bookingRef on Stripe object; cannot mark booking ${status}.`);
+    return null;
+  }
+
+  try {
+    const result = await transitionBooking(bookingRef, status, { actor: 'stripe_webhook', ...opts });
+    if (!result.ok) {
+      console.warn(`Booking ${bookingRef} not moved to ${status}:`, result.error);
+    }
+    return result;
+  } catch (e) {
+    console.error(`Booking ${bookingRef} store error moving to ${status}:`, e);
+    return null;
+  }
+}
+
+async function bookingRefForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return '';
+  try {
+    const pi = await getStripe().paymentIntents.retrieve(paymentIntentId);
+    return (pi.metadata || {}).bookingRef || '';
+  } catch (e) {
+    console.warn('Could not retrieve PI for booking lookup', e?.message);
+    return '';
+  }
+}
+
+// Saves the customer + card from the first payment so later jobs can be charged
+async function activateSeriesFromSession(seriesId, session) {
+  let paymentMethodId = '';
+  if (session.payment_intent) {
+    try {
+      const pi = await getStripe().paymentIntents.retrieve(session.payment_intent);
+      paymentMethodId = typeof pi.payment_method === 'string' ? pi.payment_method : (pi.payment_method || {}).id || '';
+    } catch (e) {
+      console.warn('Could not retrieve PI payment method for series', seriesId, e?.message);
+    }
+  }
+
+  const result = await activateSeries(seriesId, {
+    customerId: typeof session.customer === 'string' ? session.customer : (session.customer || {}).id || '',
+    paymentMethodId
+  });
+  if (!result.ok) console.warn(`Series ${seriesId} not activated:`, result.error);
+}
+
+// Records a delivery in the outbox and tries it now; failures are retried later
+function sendTelegram(event, text, bookingRef = '') {
+  return outbox.send('telegram', { text }, { key: event.id, bookingRef });
+}
+
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+
+      // Prefer session metadata; if missing, pull from PaymentIntent
+      let md = session.metadata || {};
+      if ((!md || Object.keys(md).length === 0) && session.payment_intent) {
+        try {
+          const pi = await getStripe().paymentIntents.retrieve(session.payment_intent);
+          md = pi.metadata || {};
+        } catch (e) {
+          console.warn('Could not retrieve PI metadata', e?.message);
+        }
+      }
+
+      const email =
+        session.customer_details?.email ||
+        session.customer_email ||
+        md.email || 'unknown';
+
+      const amountNum = (session.amount_total ?? 0) / 100;
+      const currency = (session.currency || 'gbp').toUpperCase();
+
+      // Pull scheduleStart/End if present; otherwise compute fallback (Europe/London job time)
+      const scheduleStartFromMd = toISOOrNull(md.scheduleStart);
+      const scheduleEndFromMd = toISOOrNull(md.scheduleEnd);
+
+      const whenDate = md.whenDate || md.date || '';
+      const whenTime = md.whenTime || md.time || '';
+      const miles = md.miles || md.miles_oneway || '';
+
+      const fallbackWindow = computeScheduleWindow({ whenDate, whenTime, miles });
+
+      const scheduleStart = scheduleStartFromMd || fallbackWindow.scheduleStart;
+      const scheduleEnd = scheduleEndFromMd || fallbackWindow.scheduleEnd;
+
+      const bookingRef = md.bookingRef || '';
+
+      const moved = await moveBooking(bookingRef, 'paid', {
+        patch: {
+          amountPaid: amountNum,
+          currency,
+          stripe: {
+            sessionId: session.id,
+            paymentIntent: session.payment_intent || null,
+            livemode: !!session.livemode
+          }
+        }
+      });
+
+      if (md.seriesId) {
+        await activateSeriesFromSession(md.seriesId, session);
+      }
+
+      // The booking record is authoritative; metadata covers sessions without one
+      const booked = (moved && moved.booking) || {};
+      const mileage = booked.mileage || jsonMetadata(md.mileage) || (md.mileage_status
+        ? { status: md.mileage_status, submitted: md.miles_submitted, server: md.miles_server || null }
+        : null);
+      const driver = await autoAssignDriver(booked);
+
+      await announcePaidJob({
+        source: 'stripe_webhook',
+        mode: session.livemode ? 'live' : 'test',
+        bookingRef,
+        sessionId: session.id,
+        paymentIntent: session.payment_intent || null,
+        seriesId: md.seriesId || '',
+        repeat: md.repeatRule || '',
+        email,
+        amountPaid: amountNum,
+        currency,
+        pickup: md.pickup,
+        dropoff: md.dropoff,
+        pickupAddress: booked.pickupAddress || addressFromMetadata(md.pickup_address),
+        dropoffAddress: booked.dropoffAddress || addressFromMetadata(md.dropoff_address),
+        stops: booked.stops || [],
+        miles,
+        mileage,
+        serviceArea: booked.serviceArea || jsonMetadata(md.service_area),
+        vehicle: booked.vehicle || null,
+        depot: booked.depot || null,
+        driver,
+        scheduleConflict: (moved && moved.schedule && moved.schedule.conflict) || null,
+        whenDate,
+        whenTime,
+        scheduleStart,
+        scheduleEnd,
+        notes: md.notes || md.message || ''
+      }, { key: event.id });
+
+      break;
+    }
+
+    case 'checkout.session.expired': {
+      const session = event.data.object;
+      const md = session.metadata || {};
+      await moveBooking(md.bookingRef, 'cancelled', { note: 'checkout_expired' });
+      if (md.seriesId) {
+        await cancelSeries(md.seriesId, { actor: 'stripe_webhook', note: 'checkout_expired' });
+      }
+      break;
+    }
+
+    // Optional: keep these if you want Telegram noise; otherwise you can remove them.
+    case 'payment_intent.succeeded': {
+      const pi = event.data.object;
+      const md = pi.metadata || {};
+      const amount = ((pi.amount_received ?? pi.amount ?? 0) / 100).toFixed(2);
+      const currency = (pi.currency || 'gbp').toUpperCase();
+
+      const text =
+`✅ Payment Succeeded
+Amount: £${amount} ${currency}
+PI: ${pi.id}`;
+
+      await sendTelegram(event, text);
+      break;
+    }
+
+    case 'payment_intent.payment_failed': {
+      const pi = event.data.object;
+      const text =
+`❌ Payment Failed
+PI: ${pi.id}
+Reason: ${pi.last_payment_error?.message || 'Unknown'}`;
+      await sendTelegram(event, text);
+      break;
+    }
+
+    case 'charge.refunded': {
+      const charge = event.data.object;
+
+      const bookingRef = await bookingRefForPaymentIntent(charge.payment_intent);
+
+      // Only a full refund ends the booking; partial refunds are just reported
+      if (charge.refunded) {
+        await moveBooking(bookingRef, 'refunded', { note: `charge ${charge.id}` });
+      }
+
+      const amount = ((charge.amount_refunded ?? 0) / 100).toFixed(2);
+      const currency = (charge.currency || 'gbp').toUpperCase();
+      const text =
+`↩️ Charge Refunded
+Amount: £${amount} ${currency}
+Charge: ${charge.id}`;
+      await sendTelegram(event, text, bookingRef);
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+function sessionIdFor(event) {
+  return event.type === 'checkout.session.completed' ? (event.data.object || {}).id || '' : '';
+}
+
+function isLiveClaim(rec) {
+  return rec && rec.status === 'processing' && Date.now() - Date.parse(rec.claimedAt) < PROCESSING_TIMEOUT_MS;
+}
+
+async function claimEvent(event, force) {
+  let claimed = false;
+  await getCollection('stripe_events').update(event.id, (cur) => {
+    if (!force && cur && (cur.status === 'processed' || isLiveClaim(cur))) return undefined;
+    claimed = true;
+    return {
+      id: event.id,
+      type: event.type,
+      livemode: !!event.livemode,
+      sessionId: sessionIdFor(event),
+      receivedAt: cur ? cur.receivedAt : new Date().toISOString(),
+      claimedAt: new Date().toISOString(),
+      attempts: (cur ? cur.attempts || 0 : 0) + 1,
+      status: 'processing',
+      forced: !!force,
+      error: ''
+    };
+  });
+  return claimed;
+}
+
+async function claimSession(sessionId, eventId, force) {
+  let claimed = false;
+  await getCollection('stripe_sessions').update(sessionId, (cur) => {
+    if (!force && cur && (cur.status === 'processed' || isLiveClaim(cur))) return undefined;
+    claimed = true;
+    return { sessionId, eventId, status: 'processing', claimedAt: new Date().toISOString() };
+  });
+  return claimed;
+}
+
+async function finish(collection, id, patch) {
+  await getCollection(collection).update(id, (cur) => (cur ? { ...cur, ...patch } : undefined));
+}
+
+/**
+ * Runs an event's side effects at most once.
+ * Returns { processed: true } or { processed: false, duplicate: 'event' | 'session' }.
+ * Throws if the handler fails (the webhook answers 500 so Stripe retries).
+ */
+async function processStripeEvent(event, { force = false } = {}) {
+  if (!(await claimEvent(event, force))) {
+    return { processed: false, duplicate: 'event' };
+  }
+
+  const sessionId = sessionIdFor(event);
+  if (sessionId && !(await claimSession(sessionId, event.id, force))) {
+    await finish('stripe_events', event.id, {
+      status: 'processed',
+      processedAt: new Date().toISOString(),
+      note: 'duplicate_session'
+    });
+    return { processed: false, duplicate: 'session' };
+  }
+
+  try {
+    await handleStripeEvent(event);
+  } catch (err) {
+    await finish('stripe_events', event.id, { status: 'failed', error: String(err && err.message || err) });
+    if (sessionId) await getCollection('stripe_sessions').remove(sessionId);
+    throw err;
+  }
+
+  const processedAt = new Date().toISOString();
+  await finish('stripe_events', event.id, { status: 'processed', processedAt });
+  if (sessionId) await finish('stripe_sessions', sessionId, { status: 'processed', processedAt, eventId: event.id });
+
+  return { processed: true };
+}
+
+async function listStripeEvents({ status } = {}) {
+  const all = await getCollection('stripe_events').list(status ? (e) => e.status === status : undefined);
+  return all.sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)));
+}
+
+module.exports = {
+  handleStripeEvent,
+  processStripeEvent,
+  listStripeEvents
+};
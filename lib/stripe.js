@@ -0,0 +1,17 @@
+/**
+ * lib/stripe.js
+ * Shared Stripe client (STRIPE_SECRET_KEY, live or test per environment).
+ */
+
+const Stripe = require('stripe');
+
+let client = null;
+
+function getStripe() {
+  if (!client) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+  }
+  return client;
+}
+
+module.exports = { getStripe };
@@ -0,0 +1,129 @@
+/**
+ * lib/time.js
+ * Europe/London wall-clock helpers, shared by the API and book.html (window.GileadTime).
+ *
+ * Booking times ("whenDate" YYYY-MM-DD + "whenTime" HH:MM) are always UK
+ * local time. Serverless functions run in UTC and browsers run in whatever
+ * zone the customer is in, so never build them with `new Date(local string)`
+ * — convert through londonToDate() instead.
+ *
+ * DST edges:
+ * - spring-forward gap (e.g. 01:30 on the last Sunday of March) moves
+ *   forward to the first valid time (02:30 BST)
+ * - fall-back overlap (01:00–01:59 on the last Sunday of October) resolves
+ *   to the earlier, BST, occurrence
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GileadTime = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIME_ZONE = 'Europe/London';
+  const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+  const formatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  function partsAt(ms) {
+    const out = {};
+    for (const p of formatter.formatToParts(new Date(ms))) out[p.type] = p.value;
+    return out;
+  }
+
+  // London's offset from UTC (minutes) at a given instant: 0 (GMT) or 60 (BST)
+  function offsetMinutesAt(ms) {
+    const p = partsAt(ms);
+    const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+  }
+
+  function parseDateStr(dateStr) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateStr || '').trim());
+    return m ? { y: +m[1], mo: +m[2], d: +m[3] } : null;
+  }
+
+  function parseTimeStr(timeStr) {
+    const m = /^(\d{2}):(\d{2})$/.exec(String(timeStr || '').trim());
+    if (!m || +m[1] > 23 || +m[2] > 59) return null;
+    return { h: +m[1], mi: +m[2] };
+  }
+
+  /**
+   * London wall-clock date + time → Date (UTC instant), or null if invalid.
+   */
+  function londonToDate(dateStr, timeStr) {
+    const d = parseDateStr(dateStr);
+    const t = parseTimeStr(timeStr);
+    if (!d || !t) return null;
+
+    const wall = Date.UTC(d.y, d.mo - 1, d.d, t.h, t.mi);
+    if (!Number.isFinite(wall)) return null;
+
+    // Reject rollovers such as 2026-02-31
+    const check = new Date(wall);
+    if (check.getUTCFullYear() !== d.y || check.getUTCMonth() !== d.mo - 1 || check.getUTCDate() !== d.d) {
+      return null;
+    }
+
+    let ms = wall - offsetMinutesAt(wall) * 60000;
+    const settled = offsetMinutesAt(ms);
+    if (wall - settled * 60000 !== ms) ms = wall - settled * 60000;
+
+    // Prefer the earlier instant when the wall-clock time happens twice
+    const earlier = ms - 60 * 60000;
+    if (wall - offsetMinutesAt(earlier) * 60000 === earlier) ms = earlier;
+
+    return new Date(ms);
+  }
+
+  /**
+   * Date (or ms / ISO string) → London wall-clock parts:
+   *   { date: "YYYY-MM-DD", time: "HH:MM", hour, minute, dayOfWeek }
+   */
+  function londonParts(value) {
+    const ms = new Date(value).getTime();
+    if (!Number.isFinite(ms)) return null;
+    const p = partsAt(ms);
+    return {
+      date: `${p.year}-${p.month}-${p.day}`,
+      time: `${p.hour}:${p.minute}`,
+      hour: +p.hour,
+      minute: +p.minute,
+      dayOfWeek: WEEKDAYS[p.weekday]
+    };
+  }
+
+  // "YYYY-MM-DD" ± n days (calendar arithmetic, no time zone involved)
+  function addDays(dateStr, n) {
+    const d = parseDateStr(dateStr);
+    if (!d) return '';
+    return new Date(Date.UTC(d.y, d.mo - 1, d.d + Number(n || 0))).toISOString().slice(0, 10);
+  }
+
+  // 0 = Sunday … 6 = Saturday for a "YYYY-MM-DD" calendar date
+  function dayOfWeek(dateStr) {
+    const d = parseDateStr(dateStr);
+    return d ? new Date(Date.UTC(d.y, d.mo - 1, d.d)).getUTCDay() : null;
+  }
+
+  return {
+    TIME_ZONE,
+    londonToDate,
+    londonParts,
+    addDays,
+    dayOfWeek
+  };
+});
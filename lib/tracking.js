@@ -0,0 +1,107 @@
+/**
+ * lib/tracking.js
+ * Customer-facing shipment tracking (/api/track/:bookingRef, track.html).
+ *
+ * A booking is shown to whoever has its reference plus a second factor:
+ * the booking email, or the tracking token from the link we send out
+ * (checkout's return page, the Make confirmation email, the POD email).
+ *
+ * Tokens are HMAC-SHA256 of the bookingRef (TRACKING_SIGNING_SECRET), so
+ * any part of the system can build the link without storing anything.
+ * Without the secret, links carry just the reference and the page asks
+ * for the email. Links point at PUBLIC_SITE_URL unless a request origin
+ * is given.
+ */
+
+const crypto = require('crypto');
+const { safeEqual } = require('./ops-auth');
+const { extractPostcode } = require('./postcodes');
+
+const DEFAULT_SITE_URL = 'https://www.gileadcouriers.co.uk';
+
+const STATUS_LABELS = {
+  pending_payment: 'Awaiting payment',
+  paid: 'Booked',
+  scheduled: 'Scheduled',
+  en_route: 'Driver on the way',
+  collected: 'Collected',
+  failed_attempt: 'Delivery attempt failed',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+function siteUrl() {
+  return String(process.env.PUBLIC_SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, '');
+}
+
+// '' when TRACKING_SIGNING_SECRET isn't set
+function trackingToken(bookingRef) {
+  const secret = process.env.TRACKING_SIGNING_SECRET || '';
+  if (!secret) return '';
+  return crypto.createHmac('sha256', secret).update(`track:${bookingRef}`).digest('base64url').slice(0, 24);
+}
+
+function trackingUrl(bookingRef, origin = siteUrl()) {
+  const token = trackingToken(bookingRef);
+  return `${origin}/track.html?ref=${encodeURIComponent(bookingRef)}` +
+    (token ? `&token=${encodeURIComponent(token)}` : '');
+}
+
+/**
+ * True if { email } or { token } matches the booking.
+ */
+function canTrack(booking, { email = '', token = '' } = {}) {
+  if (!booking) return false;
+  if (token) {
+    const expected = trackingToken(booking.bookingRef);
+    if (expected && safeEqual(token, expected)) return true;
+  }
+  const given = String(email || '').trim().toLowerCase();
+  return !!(given && booking.email && safeEqual(given, String(booking.email).trim().toLowerCase()));
+}
+
+/**
+ * What the customer sees: no addresses beyond postcodes, no internal notes.
+ * live: the driver's latest ping while the job is on the road
+ * (lib/locations.js getLiveLocation), or null.
+ */
+function publicTracking(booking, { live = null } = {}) {
+  const b = booking || {};
+  return {
+    bookingRef: b.bookingRef,
+    status: b.status,
+    statusLabel: STATUS_LABELS[b.status] || b.status,
+    whenDate: b.whenDate || '',
+    whenTime: b.whenTime || '',
+    scheduleStart: b.scheduleStart || '',
+    scheduleEnd: b.scheduleEnd || '',
+    serviceType: b.serviceType || 'oneway',
+    pickup: extractPostcode(b.pickup),
+    dropoff: extractPostcode(b.dropoff),
+    stopCount: (b.stops || []).length,
+    milestones: (b.history || []).map((h) => ({
+      status: h.status,
+      label: STATUS_LABELS[h.status] || h.status,
+      at: h.at
+    })),
+    delivery: b.pod ? { recipientName: b.pod.recipientName, at: b.pod.capturedAt } : null,
+    live: live
+      ? {
+          lat: live.lat,
+          lng: live.lng,
+          accuracy: live.accuracy,
+          at: live.at,
+          eta: live.eta ? { target: live.eta.target, minutes: live.eta.minutes, arriveAt: live.eta.arriveAt } : null
+        }
+      : null
+  };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  trackingToken,
+  trackingUrl,
+  canTrack,
+  publicTracking
+};